@@ -1,32 +1,244 @@
 'use strict';
 
 /**
- * Replace {in}/{in0..} placeholders in the args array with base names of input files.
- * - {in} works ONLY when there is exactly one input (otherwise it remains unchanged).
- * - {in0}, {in1}, ... are substituted according to the index if it exists.
+ * Template engine for spec.args, rendered per task when its message is built.
+ *
+ * Placeholders:
+ * - {in}, {in0}, {in1}, ...      input objects of the task ({in} needs exactly one)
+ * - {in*}                        list expansion: the argument is repeated once per input object
+ * - {<name>}, {<name>0}, {<name>*}  the same, per named input (multi-input joins)
+ * - .field on any object ref     name (default, basename), stem, ext, key, bucket, dir
+ *                                e.g. {in.key}, --file={in0.stem}.out, {images*.key}
+ * - {prefix}                     the task's prefix (grouping: prefix)
+ * - {workId}, {taskId}, {index}  work, task and 0-based plan item index
+ * - {{ / }}                      literal braces; ${...} is left untouched (shell variables)
+ * Unknown placeholders and missing objects throw.
  */
-function expandInputPlaceholders(args, basenames) {
-    if (!Array.isArray(args)) return args;
-    const one = basenames && basenames.length === 1 ? basenames[0] : null;
 
-    return args.map(a => {
-        if (typeof a !== 'string') return a;
+const { parseStorageUrl } = require('../storage');
+
+const PLACEHOLDER = /\{\{|\}\}|\$\{[^}]*\}|\{([A-Za-z_][A-Za-z0-9_]*)(\*)?(?:\.([A-Za-z]+))?\}/g;
+
+const SCALARS = ['prefix', 'workId', 'taskId', 'index'];
+
+/** Fields of an object placeholder (see objectFields) and variables of an output layout (see objectVars). */
+const OBJECT_FIELDS = ['name', 'stem', 'ext', 'key', 'bucket', 'dir'];
+const LAYOUT_VARS = ['name', 'stem', 'ext', 'dir', 'relpath'];
+
+/**
+ * Fields of an input object usable in args.
+ */
+function objectFields(obj) {
+    const key = obj.key;
+    const slash = key.lastIndexOf('/');
+    const name = slash >= 0 ? key.slice(slash + 1) : key;
+    const dot = name.lastIndexOf('.');
+    return {
+        key,
+        bucket: obj.bucket,
+        name,
+        stem: dot > 0 ? name.slice(0, dot) : name,
+        ext: dot > 0 ? name.slice(dot + 1) : '',
+        dir: slash >= 0 ? key.slice(0, slash) : ''
+    };
+}
 
-        if (a === '{in}') {
-            return one !== null ? one : a;
+/**
+ * Input objects of a single task (batch disabled): the inputs whose URL names one object
+ * (no trailing '/'). URLs of schemes without a storage adapter are left to the worker.
+ */
+function singleInputObjects(inputs) {
+    const objects = [];
+    for (const input of inputs || []) {
+        if (typeof input?.url !== 'string' || input.url.endsWith('/')) continue;
+        let parsed;
+        try {
+            parsed = parseStorageUrl(input.url);
+        } catch {
+            continue;
         }
+        if (!parsed.key) continue;
+        const obj = { type: parsed.scheme, bucket: parsed.bucket, key: parsed.key };
+        if (input.name) obj.name = input.name;
+        objects.push(obj);
+    }
+    return objects;
+}
 
-        const m = a.match(/^\{in(\d+)\}$/);
-        if (m) {
-            const idx = Number(m[1]);
-            if (Number.isFinite(idx) && basenames && idx < basenames.length) {
-                return basenames[idx];
-            }
-            return a;
+/**
+ * Build the rendering context of a plan item.
+ * Input objects are the plan inputs with a `key` (single tasks: see singleInputObjects);
+ * `name` groups them per named input.
+ */
+function argsContext(plan, { workId, taskId } = {}) {
+    const objects = plan.source?.single
+        ? singleInputObjects(plan.inputs)
+        : (plan.inputs || []).filter(i => typeof i.key === 'string');
+    const named = {};
+    for (const o of objects) {
+        if (o.name) (named[o.name] = named[o.name] || []).push(o);
+    }
+    return {
+        objects,
+        named,
+        prefix: plan.source?.prefix,
+        index: plan.index ?? 0,
+        workId,
+        taskId
+    };
+}
+
+/**
+ * Resolve an object reference ('in', 'in2', 'images', 'images0') to { label, list, idx }.
+ * idx = null for the bare form.
+ */
+function objectRef(ctx, ref) {
+    if (ref === 'in') return { label: 'in', list: ctx.objects, idx: null };
+    if (Object.prototype.hasOwnProperty.call(ctx.named, ref)) return { label: ref, list: ctx.named[ref], idx: null };
+
+    const m = /^(.*?)(\d+)$/.exec(ref);
+    if (m) {
+        if (m[1] === 'in') return { label: 'in', list: ctx.objects, idx: Number(m[2]) };
+        if (Object.prototype.hasOwnProperty.call(ctx.named, m[1])) {
+            return { label: m[1], list: ctx.named[m[1]], idx: Number(m[2]) };
         }
+    }
+    return null;
+}
+
+function resolvePlaceholder(ctx, ref, star, field, listIndex, where) {
+    const token = `{${ref}${star ? '*' : ''}${field ? `.${field}` : ''}}`;
 
-        return a;
+    if (SCALARS.includes(ref)) {
+        if (star || field) throw new Error(`Invalid placeholder ${token} in ${where}: ${ref} has no fields`);
+        const value = ctx[ref];
+        if (value === undefined || value === null) {
+            const hint = ref === 'prefix' ? ' (only with batch.grouping: prefix)' : '';
+            throw new Error(`Placeholder ${token} in ${where} has no value for this task${hint}`);
+        }
+        return value;
+    }
+
+    const r = objectRef(ctx, ref);
+    if (!r) throw new Error(`Unknown placeholder ${token} in ${where}`);
+
+    let obj;
+    if (star) {
+        if (r.idx !== null) throw new Error(`Invalid placeholder ${token} in ${where}: use either an index or '*'`);
+        obj = r.list[listIndex];
+    } else if (r.idx !== null) {
+        obj = r.list[r.idx];
+        if (!obj) {
+            throw new Error(`Placeholder ${token} in ${where} is out of range: the task has ${r.list.length} '${r.label}' object(s)`);
+        }
+    } else {
+        if (r.list.length !== 1) {
+            throw new Error(`Placeholder ${token} in ${where} needs exactly one '${r.label}' object, the task has ${r.list.length}`
+                + ` (use {${r.label}0}.. or {${r.label}*})`);
+        }
+        obj = r.list[0];
+    }
+
+    const fields = objectFields(obj);
+    const f = field || 'name';
+    if (!Object.prototype.hasOwnProperty.call(fields, f)) {
+        throw new Error(`Unknown field '.${f}' in ${token} (${where}); use one of: ${Object.keys(fields).join(', ')}`);
+    }
+    return fields[f];
+}
+
+/**
+ * Render one argument; returns an array (several items with list expansion).
+ */
+function renderArg(arg, ctx, where) {
+    let listLen = null;
+    for (const m of arg.matchAll(PLACEHOLDER)) {
+        const [, ref, star] = m;
+        if (!ref || !star) continue;
+        const r = objectRef(ctx, ref);
+        if (!r) throw new Error(`Unknown placeholder {${ref}*} in ${where}`);
+        if (listLen !== null && listLen !== r.list.length) {
+            throw new Error(`List placeholders in ${where} expand to different lengths (${listLen} vs ${r.list.length})`);
+        }
+        listLen = r.list.length;
+    }
+
+    const render = (i) => arg.replace(PLACEHOLDER, (m, ref, star, field) => {
+        if (m === '{{') return '{';
+        if (m === '}}') return '}';
+        if (m.startsWith('${')) return m;
+        return String(resolvePlaceholder(ctx, ref, !!star, field, i, where));
+    });
+
+    if (listLen === null) return [render(null)];
+    return Array.from({ length: listLen }, (_v, i) => render(i));
+}
+
+/**
+ * Render spec.args for one task (see the placeholder list above).
+ * Non-string args are passed through.
+ */
+function renderArgs(args, ctx) {
+    if (!Array.isArray(args)) return args;
+    const out = [];
+    args.forEach((arg, i) => {
+        if (typeof arg !== 'string') out.push(arg);
+        else out.push(...renderArg(arg, ctx, `spec.args[${i}]`));
+    });
+    return out;
+}
+
+/**
+ * Placeholder values describing one input object, relative to its input prefix.
+ * e.g. key 'data/x/a.tar.gz', prefix 'data/' → { name: 'a.tar.gz', stem: 'a.tar', ext: 'gz', dir: 'x', relpath: 'x/a.tar.gz' }
+ */
+function objectVars(key, basePrefix = '') {
+    const relpath = basePrefix && key.startsWith(basePrefix) ? key.slice(basePrefix.length) : key;
+    const slash = relpath.lastIndexOf('/');
+    const name = slash >= 0 ? relpath.slice(slash + 1) : relpath;
+    const dot = name.lastIndexOf('.');
+    return {
+        name,
+        stem: dot > 0 ? name.slice(0, dot) : name,
+        ext: dot > 0 ? name.slice(dot + 1) : '',
+        dir: slash >= 0 ? relpath.slice(0, slash) : '',
+        relpath
+    };
+}
+
+/**
+ * Expand an output layout ('{stem}.jpg', '{dir}/{stem}.out', ...) with objectVars().
+ * Throws on unknown placeholders.
+ */
+function expandLayout(layout, vars) {
+    return layout.replace(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_m, name) => {
+        if (!Object.prototype.hasOwnProperty.call(vars, name)) {
+            throw new Error(`Unknown placeholder {${name}} in spec.io.output.layout`);
+        }
+        return vars[name];
     });
 }
 
-module.exports = { expandInputPlaceholders };
+/**
+ * Placeholders of one argument, for static checks: [{ token, ref, star, field }]
+ * (escapes and ${...} are skipped).
+ */
+function listPlaceholders(arg) {
+    const out = [];
+    for (const [token, ref, star, field] of arg.matchAll(PLACEHOLDER)) {
+        if (ref) out.push({ token, ref, star: !!star, field: field || null });
+    }
+    return out;
+}
+
+module.exports = {
+    SCALARS,
+    OBJECT_FIELDS,
+    LAYOUT_VARS,
+    renderArgs,
+    argsContext,
+    singleInputObjects,
+    objectVars,
+    expandLayout,
+    listPlaceholders
+};
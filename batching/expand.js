@@ -1,23 +1,40 @@
 'use strict';
 
 const path = require('node:path');
-const { makeS3ClientFromEnv, parseS3Url, listObjects, listPrefixesAtDepth } = require('../storage/s3');
-const { expandInputPlaceholders } = require('../args/templating');
+const { getStorageAdapter, parseStorageUrl, storageClients } = require('../storage');
+const { objectVars, expandLayout } = require('../args/templating');
+const { packUnits } = require('./packing');
+const { toLogger } = require('../utils/logger');
+
+/**
+ * AsyncGenerator of task plans based on spec.io.* (items numbered with `index`).
+ * `args` stay templates: they are rendered per task by buildTaskMsgFromPlan (see args/templating.js).
+ * Options: logger (warnings about skipped inputs, see utils/logger.js).
+ */
+async function* planBatch(spec, { logger } = {}) {
+    let index = 0;
+    for await (const item of planItems(spec, toLogger(logger).child({ component: 'plan' }))) {
+        yield { ...item, index: index++ };
+    }
+}
 
 /**
- * AsyncGenerator of task plans based on spec.io.*
  * Supports:
  *  - batch.enabled=false  → single (leaves args unchanged, localInputs empty)
- *  - grouping: 'object'   → 1 task = 1 object (or packs up to maxPerTask)
+ *  - grouping: 'object'   → 1 task = 1 object (or packs up to maxPerTask objects / maxBytesPerTask bytes,
+ *                           filled sequentially or balanced with packing: 'balanced')
  *  - grouping: 'prefix'   → 1 task = 1 subfolder at the given depth
+ *  - several named inputs → objects joined across inputs (batch.join: 'zip' by stem/relpath, or 'cross'),
+ *                           1 task = 1 tuple (or packs of tuples, same limits as above)
+ * Inputs are listed with the storage adapter of their URL scheme (s3://, file://, see storage/index.js);
+ * plan inputs carry it as `type`.
  */
-async function* planBatch(spec) {
+async function* planItems(spec, log) {
     const io = spec.io || {};
     const inputs = Array.isArray(io.inputs) ? io.inputs : [];
     const batch = io.batch || { enabled: false };
     const grouping = batch.grouping || 'object';
     const prefixDepth = Number.isFinite(batch.prefixDepth) ? batch.prefixDepth : 1;
-    const maxPerTask = Number.isFinite(batch.maxPerTask) && batch.maxPerTask > 0 ? batch.maxPerTask : 1;
 
     // SINGLE
     if (!batch.enabled) {
@@ -35,16 +52,22 @@ async function* planBatch(spec) {
         throw new Error(`spec.io.batch.enabled=true, but spec.io.inputs is empty`);
     }
 
-    // Assume the first input as the base (MVP — we’ll extend later if needed).
-    const base = inputs[0];
-    const client = makeS3ClientFromEnv();
+    const clients = storageClients();
+
+    if (inputs.length > 1) {
+        if (grouping !== 'object') {
+            throw new Error(`spec.io.batch.grouping='${grouping}' does not support multiple spec.io.inputs (use 'object')`);
+        }
+        yield* planJoined(clients, spec, inputs, batch, parseInput(inputs[0]).prefix || '', log);
+        return;
+    }
 
-    // Normalize to { bucket, prefix } (prefix) or { bucket, key } (single object)
-    const parsed = base.url ? parseS3Url(base.url) : { bucket: base.bucket, key: base.key || '', prefix: base.prefix || '' };
+    const base = inputs[0];
+    const parsed = parseInput(base);
 
     if (grouping === 'prefix') {
-        const prefixes = await listPrefixesAtDepth({
-            s3: client,
+        const prefixes = await getStorageAdapter(parsed.scheme).listPrefixesAtDepth({
+            client: clients(parsed.scheme),
             bucket: parsed.bucket,
             basePrefix: parsed.prefix || '',
             depth: prefixDepth
@@ -53,6 +76,7 @@ async function* planBatch(spec) {
         for (const p of prefixes) {
             yield {
                 inputs: [{
+                    type: parsed.scheme,
                     bucket: parsed.bucket,
                     prefix: p,
                     recursive: true,
@@ -68,44 +92,175 @@ async function* planBatch(spec) {
     }
 
     // grouping === 'object' (with batching)
-    const gen = listObjects({
-        s3: client,
+    const gen = listInputObjects(clients, base);
+
+    async function* objects() {
+        for await (const item of gen) {
+            // ignore CommonPrefixes in object mode (they only appear when recursive=false)
+            if (item.commonPrefixes) continue;
+            yield { remote: { type: parsed.scheme, bucket: item.bucket, key: item.key }, size: item.size };
+        }
+    }
+
+    for await (const pack of packUnits(objects(), batch, o => o.size)) {
+        yield packToPlan(pack, spec, base, parsed.prefix || '');
+    }
+}
+
+/**
+ * Normalize an input to { scheme, bucket, prefix } (prefix) or { scheme, bucket, key } (single object).
+ * Inputs given by bucket / key / prefix instead of a url are S3 unless `type` says otherwise.
+ */
+function parseInput(input) {
+    return input.url
+        ? parseStorageUrl(input.url)
+        : { scheme: input.type || 's3', bucket: input.bucket, key: input.key || '', prefix: input.prefix || '' };
+}
+
+function listInputObjects(clients, input) {
+    const parsed = parseInput(input);
+    return getStorageAdapter(parsed.scheme).listObjects({
+        client: clients(parsed.scheme),
         bucket: parsed.bucket,
         prefix: parsed.prefix || parsed.key || '',
-        recursive: base.recursive !== false,
-        include: base.include || [],
-        exclude: base.exclude || [],
-        maxFiles: base.maxFiles
+        recursive: input.recursive !== false,
+        include: input.include || [],
+        exclude: input.exclude || [],
+        maxFiles: input.maxFiles
     });
+}
 
-    let pack = [];
-    for await (const item of gen) {
-        if (item.commonPrefixes) {
-            // ignore CommonPrefixes in object mode (they only appear when recursive=false)
-            continue;
+/**
+ * Join key of an object: its stem ('stem') or its path relative to the input prefix
+ * without extension ('relpath').
+ */
+function joinKeyOf(key, parsed, mode) {
+    const rel = mode === 'relpath'
+        ? key.slice((parsed.prefix || '').length)
+        : path.posix.basename(key);
+    const ext = path.posix.extname(rel);
+    return ext ? rel.slice(0, -ext.length) : rel;
+}
+
+/**
+ * Multi-input planning. Inputs 1..N are listed into memory, input 0 is streamed:
+ *  - zip:   tuples of objects sharing the same join key (unmatched objects are skipped)
+ *  - cross: every combination of objects
+ */
+async function* planJoined(clients, spec, inputs, batch, basePrefix, log) {
+    const join = batch.join || 'zip';
+    const joinKey = batch.joinKey || 'stem';
+
+    const names = inputs.map((input, i) => {
+        if (!input.name) {
+            throw new Error(`spec.io.inputs[${i}].name is required when joining multiple inputs`);
         }
-        const bn = path.basename(item.key);
-        pack.push({ remote: { bucket: item.bucket, key: item.key }});
+        return input.name;
+    });
+    if (new Set(names).size !== names.length) {
+        throw new Error(`spec.io.inputs names must be unique (got: ${names.join(', ')})`);
+    }
+
+    const parsed = inputs.map(parseInput);
+    const toObj = (i, item) => ({
+        name: names[i],
+        type: parsed[i].scheme,
+        bucket: item.bucket,
+        key: item.key,
+        size: item.size,
+        match: joinKeyOf(item.key, parsed[i], joinKey)
+    });
 
-        if (pack.length >= maxPerTask) {
-            yield packToPlan(pack, spec, base);
-            pack = [];
+    // Materialize the secondary inputs
+    const others = [];
+    for (let i = 1; i < inputs.length; i++) {
+        const list = [];
+        for await (const item of listInputObjects(clients, inputs[i])) {
+            if (!item.commonPrefixes) list.push(toObj(i, item));
+        }
+        if (join === 'zip') {
+            const byKey = new Map();
+            for (const o of list) {
+                if (byKey.has(o.match)) {
+                    log.warn({ input: names[i], joinKey: o.match, kept: byKey.get(o.match).key, skipped: o.key }, 'Duplicate join key');
+                    continue;
+                }
+                byKey.set(o.match, o);
+            }
+            others.push(byKey);
+        } else {
+            others.push(list);
         }
     }
-    if (pack.length > 0) {
-        yield packToPlan(pack, spec, base);
+
+    let unmatched = 0;
+    async function* tuples() {
+        for await (const item of listInputObjects(clients, inputs[0])) {
+            if (item.commonPrefixes) continue;
+            const first = toObj(0, item);
+
+            if (join === 'zip') {
+                const rest = others.map(byKey => byKey.get(first.match));
+                if (rest.some(o => !o)) { unmatched += 1; continue; }
+                yield [first, ...rest];
+            } else {
+                let combos = [[first]];
+                for (const list of others) {
+                    combos = combos.flatMap(t => list.map(o => [...t, o]));
+                }
+                yield* combos;
+            }
+        }
     }
+
+    const tupleSize = t => t.reduce((sum, o) => sum + (o.size || 0), 0);
+    for await (const pack of packUnits(tuples(), batch, tupleSize)) {
+        yield tuplesToPlan(pack, spec, names, basePrefix);
+    }
+    if (unmatched > 0) {
+        log.warn({ input: names[0], count: unmatched }, 'Objects without a match in every input (skipped)');
+    }
+}
+
+/**
+ * Expected output objects of a pack: spec.io.output.url + layout, one per (primary) input key.
+ * Returns null when the output has no layout (outputs cannot be predicted).
+ */
+function expectedOutputs(spec, keys, basePrefix) {
+    const output = spec.io?.output;
+    if (!output?.url || !output.layout) return null;
+    const parsed = parseStorageUrl(output.url);
+    return keys.map(key => ({
+        bucket: parsed.bucket,
+        key: `${parsed.prefix}${expandLayout(output.layout, objectVars(key, basePrefix))}`
+    }));
+}
+
+function tuplesToPlan(tuples, spec, names, basePrefix) {
+    const objs = tuples.flat();
+
+    return {
+        inputs: objs.map(o => ({ name: o.name, type: o.type, bucket: o.bucket, key: o.key })),
+        localInputs: objs.map(o => ({ name: o.key, workflow_input: true })),
+        args: spec.args || [],
+        source: { keys: objs.map(o => o.key), match: tuples.map(t => t[0].match) },
+        outputs: expectedOutputs(spec, tuples.map(t => t[0].key), basePrefix),
+        objects: objs.length,
+        bytes: objs.reduce((sum, o) => sum + (o.size || 0), 0)
+    };
 }
 
-function packToPlan(pack, spec, base) {
+function packToPlan(pack, spec, base, basePrefix) {
     const localInputs = pack.map(p => ({ name: p.remote.key, workflow_input: true }));
     const inputKeys = pack.map(p => p.remote.key);
-    const args = expandInputPlaceholders(spec.args || [], inputKeys);
     return {
-        inputs: pack.map(p => ({ bucket: p.remote.bucket, key: p.remote.key })),
+        inputs: pack.map(p => ({ type: p.remote.type, bucket: p.remote.bucket, key: p.remote.key })),
         localInputs,
-        args,
+        args: spec.args || [],
         source: { keys: pack.map(p => p.remote.key) },
+        outputs: expectedOutputs(spec, inputKeys, basePrefix),
+        objects: pack.length,
+        bytes: pack.reduce((sum, p) => sum + (p.size || 0), 0),
         include: base.include || [],
         exclude: base.exclude || []
     };
@@ -0,0 +1,85 @@
+'use strict';
+
+const { getStorageAdapter, parseStorageUrl, storageClients } = require('../storage');
+const { planBatch } = require('./expand');
+
+/**
+ * Pre-flight output checks (spec.io.output.overwrite = false).
+ */
+
+/**
+ * Output checks apply when the output has a url + layout and overwrite is not enabled.
+ */
+function needsOutputCheck(spec) {
+    const output = spec.io?.output;
+    return !!(output?.url && output.layout && output.overwrite !== true);
+}
+
+/**
+ * List the output prefix once and return the set of existing keys.
+ */
+async function listExistingOutputs(clients, output) {
+    const parsed = parseStorageUrl(output.url);
+    const existing = new Set();
+    const adapter = getStorageAdapter(parsed.scheme);
+    for await (const obj of adapter.listObjects({ client: clients(parsed.scheme), bucket: parsed.bucket, prefix: parsed.prefix || parsed.key })) {
+        if (obj.key) existing.add(obj.key);
+    }
+    return existing;
+}
+
+/**
+ * Classify a plan item by its expected outputs:
+ *  - 'planned'  none exists (or outputs cannot be predicted)
+ *  - 'skipped'  all exist (already processed)
+ *  - 'conflict' some exist (would partially overwrite)
+ */
+function outputStatus(planItem, existing) {
+    const outputs = planItem.outputs;
+    if (!Array.isArray(outputs) || outputs.length === 0) return { status: 'planned', existing: [] };
+
+    const found = outputs.filter(o => existing.has(o.key)).map(o => o.key);
+    if (found.length === 0) return { status: 'planned', existing: [] };
+    return { status: found.length === outputs.length ? 'skipped' : 'conflict', existing: found };
+}
+
+/**
+ * planBatch() with output checks: every item gets `status` and `existingOutputs`.
+ * Without a check (overwrite: true or no layout) every item is 'planned'.
+ * Options: s3 (client used for an s3:// output), logger (passed to planBatch).
+ */
+async function* planBatchChecked(spec, { s3, logger } = {}) {
+    if (!needsOutputCheck(spec)) {
+        for await (const item of planBatch(spec, { logger })) {
+            yield { ...item, status: 'planned', existingOutputs: [] };
+        }
+        return;
+    }
+
+    const existing = await listExistingOutputs(storageClients({ s3 }), spec.io.output);
+    for await (const item of planBatch(spec, { logger })) {
+        const { status, existing: found } = outputStatus(item, existing);
+        yield { ...item, status, existingOutputs: found };
+    }
+}
+
+/**
+ * Fail-upfront variant: plans everything and throws EOUTPUTEXISTS (with `details`)
+ * if any item has existing outputs. Returns the plan items otherwise. Options: as planBatchChecked.
+ */
+async function assertNoExistingOutputs(spec, opts = {}) {
+    const items = [];
+    const clashes = [];
+    for await (const item of planBatchChecked(spec, opts)) {
+        items.push(item);
+        if (item.status !== 'planned') clashes.push(item);
+    }
+    if (clashes.length > 0) {
+        const err = new Error(`EOUTPUTEXISTS: ${clashes.length} plan item(s) have existing outputs`);
+        err.details = clashes.map(i => ({ source: i.source, status: i.status, existingOutputs: i.existingOutputs }));
+        throw err;
+    }
+    return items;
+}
+
+module.exports = { needsOutputCheck, planBatchChecked, assertNoExistingOutputs };
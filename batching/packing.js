@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Packing of planned units (objects or joined tuples) into tasks.
+ * Options:
+ *  - maxItems: max units per task (Infinity = no limit)
+ *  - maxBytes: byte budget per task (Infinity = no limit); a unit larger than the budget gets a task of its own
+ *  - sizeOf:   unit → bytes
+ */
+
+/**
+ * Sequential packing: fill a pack in listing order and close it when a limit is reached.
+ * Streams: only the current pack is kept in memory.
+ */
+async function* packSequential(units, { maxItems, maxBytes, sizeOf }) {
+    let pack = [];
+    let bytes = 0;
+
+    for await (const unit of units) {
+        const size = sizeOf(unit) || 0;
+
+        // Would overflow the budget: close the current pack first
+        if (pack.length > 0 && bytes + size > maxBytes) {
+            yield pack;
+            pack = [];
+            bytes = 0;
+        }
+
+        pack.push(unit);
+        bytes += size;
+
+        if (pack.length >= maxItems || bytes >= maxBytes) {
+            yield pack;
+            pack = [];
+            bytes = 0;
+        }
+    }
+    if (pack.length > 0) yield pack;
+}
+
+/**
+ * Balanced packing: collect every unit, then spread them largest first onto the lightest task
+ * (LPT greedy), starting from the lower bound on the number of tasks given by the limits.
+ * A unit that does not fit in the lightest task within maxBytes opens a new task, so the limits
+ * always hold. Tasks end up roughly equal in bytes.
+ */
+async function* packBalanced(units, { maxItems, maxBytes, sizeOf }) {
+    const all = [];
+    for await (const unit of units) {
+        const size = sizeOf(unit) || 0;
+        if (size >= maxBytes) {
+            yield [unit];
+        } else {
+            all.push({ unit, size });
+        }
+    }
+    if (all.length === 0) return;
+
+    const total = all.reduce((sum, u) => sum + u.size, 0);
+    const binCount = Math.max(
+        1,
+        Number.isFinite(maxBytes) ? Math.ceil(total / maxBytes) : 1,
+        Number.isFinite(maxItems) ? Math.ceil(all.length / maxItems) : 1
+    );
+
+    all.sort((a, b) => b.size - a.size);
+
+    const bins = Array.from({ length: binCount }, () => ({ units: [], bytes: 0 }));
+    const heap = new MinHeap((a, b) => a.bytes - b.bytes);
+    for (const bin of bins) heap.push(bin);
+
+    for (const { unit, size } of all) {
+        let bin = heap.pop();
+        if (bin && bin.units.length > 0 && bin.bytes + size > maxBytes) {
+            // The lightest bin is too full, so is every other one
+            heap.push(bin);
+            bin = null;
+        }
+        if (!bin) {
+            // every bin hit maxItems (rounding) or maxBytes: open a new one
+            bin = { units: [], bytes: 0 };
+            bins.push(bin);
+        }
+        bin.units.push(unit);
+        bin.bytes += size;
+        if (bin.units.length < maxItems) heap.push(bin);
+    }
+
+    for (const bin of bins) {
+        if (bin.units.length > 0) yield bin.units;
+    }
+}
+
+class MinHeap {
+    constructor(cmp) {
+        this.cmp = cmp;
+        this.items = [];
+    }
+
+    push(item) {
+        const a = this.items;
+        a.push(item);
+        let i = a.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.cmp(a[i], a[parent]) >= 0) break;
+            [a[i], a[parent]] = [a[parent], a[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const a = this.items;
+        if (a.length === 0) return undefined;
+        const top = a[0];
+        const last = a.pop();
+        if (a.length > 0) {
+            a[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1;
+                const r = l + 1;
+                let m = i;
+                if (l < a.length && this.cmp(a[l], a[m]) < 0) m = l;
+                if (r < a.length && this.cmp(a[r], a[m]) < 0) m = r;
+                if (m === i) break;
+                [a[i], a[m]] = [a[m], a[i]];
+                i = m;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Pack units according to spec.io.batch (maxPerTask, maxBytesPerTask, packing).
+ * Without a byte budget maxPerTask defaults to 1; with one it is unlimited unless set.
+ */
+function packUnits(units, batch, sizeOf) {
+    const maxBytes = Number.isFinite(batch.maxBytesPerTask) && batch.maxBytesPerTask > 0
+        ? batch.maxBytesPerTask
+        : Infinity;
+    const maxItems = Number.isFinite(batch.maxPerTask) && batch.maxPerTask > 0
+        ? batch.maxPerTask
+        : (Number.isFinite(maxBytes) ? Infinity : 1);
+
+    const opts = { maxItems, maxBytes, sizeOf };
+    return batch.packing === 'balanced' ? packBalanced(units, opts) : packSequential(units, opts);
+}
+
+module.exports = { packUnits };
@@ -0,0 +1,444 @@
+'use strict';
+
+/**
+ * In-memory transport: stand-ins for the node-redis client and the AmqpConnector, so apps built on
+ * TaskClient can be tested without Redis or RabbitMQ:
+ *
+ *   const transport = createMemoryTransport({ queues: ['my-task-type'] });
+ *   const client = new TaskClient(null, null, null, { transport });
+ *
+ * MemoryRedis covers the commands the library uses (strings, sets, hashes, lists, MULTI / WATCH,
+ * pub/sub), with node-redis v4 method names and replies. MemoryAmqp keeps published task IDs per queue,
+ * honoring priority and expiration; MemoryAmqp.get() takes the next one, like a worker would
+ * (unacknowledged until ack(), see recover()).
+ */
+
+const EventEmitter = require('node:events');
+const { WatchError } = require('redis');
+
+const WRONGTYPE = 'WRONGTYPE Operation against a key holding the wrong kind of value';
+
+function globToRegExp(pattern) {
+    const body = String(pattern)
+        .replace(/[.+^${}()|\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${body}$`);
+}
+
+const list = (v) => (Array.isArray(v) ? v : [v]);
+
+/**
+ * Redis commands over the shared store: (store, ...args) → reply. Values are kept as strings and
+ * empty sets / hashes / lists are removed, as in Redis.
+ */
+const COMMANDS = {
+    get(db, key) {
+        return db.read(key, 'string') ?? null;
+    },
+    set(db, key, value, opts = {}) {
+        if (opts.NX && db.data.has(key)) return null;
+        if (opts.XX && !db.data.has(key)) return null;
+        db.data.set(key, { type: 'string', value: String(value) });
+        return 'OK';
+    },
+    del(db, keys) {
+        return list(keys).filter(k => db.data.delete(k)).length;
+    },
+    exists(db, keys) {
+        return list(keys).filter(k => db.data.has(k)).length;
+    },
+    keys(db, pattern) {
+        const re = globToRegExp(pattern);
+        return [...db.data.keys()].filter(k => re.test(k));
+    },
+
+    sAdd(db, key, members) {
+        const set = db.write(key, 'set', () => new Set());
+        let added = 0;
+        for (const m of list(members).map(String)) {
+            if (!set.has(m)) { set.add(m); added += 1; }
+        }
+        return added;
+    },
+    sRem(db, key, members) {
+        const set = db.read(key, 'set');
+        if (!set) return 0;
+        const removed = list(members).map(String).filter(m => set.delete(m)).length;
+        db.dropIfEmpty(key, set.size);
+        return removed;
+    },
+    sMembers(db, key) {
+        return [...(db.read(key, 'set') || [])];
+    },
+    sCard(db, key) {
+        return db.read(key, 'set')?.size ?? 0;
+    },
+    sIsMember(db, key, member) {
+        return !!db.read(key, 'set')?.has(String(member));
+    },
+    sRandMember(db, key) {
+        const members = [...(db.read(key, 'set') || [])];
+        return members.length > 0 ? members[Math.floor(Math.random() * members.length)] : null;
+    },
+
+    hSet(db, key, field, value) {
+        const hash = db.write(key, 'hash', () => new Map());
+        const entries = typeof field === 'object' && field !== null
+            ? (field instanceof Map ? [...field] : Object.entries(field))
+            : [[field, value]];
+        let added = 0;
+        for (const [f, v] of entries) {
+            if (!hash.has(String(f))) added += 1;
+            hash.set(String(f), String(v));
+        }
+        return added;
+    },
+    hSetNX(db, key, field, value) {
+        const hash = db.write(key, 'hash', () => new Map());
+        if (hash.has(String(field))) return false;
+        hash.set(String(field), String(value));
+        return true;
+    },
+    hGet(db, key, field) {
+        return db.read(key, 'hash')?.get(String(field)) ?? null;
+    },
+    hmGet(db, key, fields) {
+        const hash = db.read(key, 'hash');
+        return list(fields).map(f => hash?.get(String(f)) ?? null);
+    },
+    hGetAll(db, key) {
+        return Object.fromEntries(db.read(key, 'hash') || []);
+    },
+    hExists(db, key, field) {
+        return !!db.read(key, 'hash')?.has(String(field));
+    },
+    hDel(db, key, fields) {
+        const hash = db.read(key, 'hash');
+        if (!hash) return 0;
+        const removed = list(fields).map(String).filter(f => hash.delete(f)).length;
+        db.dropIfEmpty(key, hash.size);
+        return removed;
+    },
+    hIncrBy(db, key, field, increment) {
+        const hash = db.write(key, 'hash', () => new Map());
+        const value = (Number.parseInt(hash.get(String(field)) ?? '0', 10) || 0) + Number(increment);
+        hash.set(String(field), String(value));
+        return value;
+    },
+
+    lPush(db, key, values) {
+        const items = db.write(key, 'list', () => []);
+        for (const v of list(values)) items.unshift(String(v));
+        return items.length;
+    },
+    rPush(db, key, values) {
+        const items = db.write(key, 'list', () => []);
+        for (const v of list(values)) items.push(String(v));
+        return items.length;
+    },
+    lPop(db, key) {
+        const items = db.read(key, 'list');
+        if (!items) return null;
+        const v = items.shift();
+        db.dropIfEmpty(key, items.length);
+        return v;
+    },
+    rPop(db, key) {
+        const items = db.read(key, 'list');
+        if (!items) return null;
+        const v = items.pop();
+        db.dropIfEmpty(key, items.length);
+        return v;
+    },
+    lRange(db, key, start, stop) {
+        const items = db.read(key, 'list') || [];
+        const from = start < 0 ? Math.max(0, items.length + start) : start;
+        const to = stop < 0 ? items.length + stop : stop;
+        return items.slice(from, to + 1);
+    },
+    lLen(db, key) {
+        return db.read(key, 'list')?.length ?? 0;
+    },
+
+    publish(db, channel, message) {
+        return db.publish(String(channel), String(message));
+    }
+};
+
+/** Commands modifying their key(s) (the first argument): they abort a MULTI WATCHing them. */
+const WRITES = new Set(['set', 'del', 'sAdd', 'sRem', 'hSet', 'hSetNX', 'hDel', 'hIncrBy', 'lPush', 'rPush', 'lPop', 'rPop']);
+
+function runCommand(store, name, args) {
+    const reply = COMMANDS[name](store, ...args);
+    if (WRITES.has(name)) store.touch(list(args[0]));
+    return reply;
+}
+
+/**
+ * Keyspace and pub/sub bus shared by a MemoryRedis and its duplicates (= one Redis server).
+ */
+class MemoryStore {
+    constructor() {
+        this.data = new Map();
+        /** @type {Set<{ match: function(string): boolean, listener: Function }>} */
+        this.subscriptions = new Set();
+        /** Last write of each key (for WATCH) */
+        this.versions = new Map();
+        this.clock = 0;
+    }
+
+    touch(keys) {
+        for (const key of keys) this.versions.set(key, ++this.clock);
+    }
+
+    read(key, type) {
+        const entry = this.data.get(key);
+        if (!entry) return undefined;
+        if (entry.type !== type) throw new Error(WRONGTYPE);
+        return entry.value;
+    }
+
+    write(key, type, create) {
+        if (!this.data.has(key)) this.data.set(key, { type, value: create() });
+        return this.read(key, type);
+    }
+
+    dropIfEmpty(key, size) {
+        if (size === 0) this.data.delete(key);
+    }
+
+    /** Delivered asynchronously, like over a connection. Returns the number of receivers. */
+    publish(channel, message) {
+        const receivers = [...this.subscriptions].filter(s => s.match(channel));
+        for (const s of receivers) setImmediate(() => s.listener(message, channel));
+        return receivers.length;
+    }
+}
+
+/**
+ * node-redis v4 look-alike. duplicate() returns another connection to the same data,
+ * usable for subscribe() / pSubscribe(); so does executeIsolated(), for WATCH.
+ */
+class MemoryRedis extends EventEmitter {
+    constructor(store = new MemoryStore()) {
+        super();
+        this.store = store;
+        this.isOpen = false;
+        this.isReady = false;
+        this._subscriptions = new Set();
+        /** WATCHed keys → their version when watched */
+        this._watched = new Map();
+    }
+
+    async connect() {
+        this.isOpen = true;
+        this.isReady = true;
+        this.emit('ready');
+        return this;
+    }
+
+    /** Drops this connection's subscriptions; the data stays (other connections may share it). */
+    async quit() {
+        for (const s of this._subscriptions) this.store.subscriptions.delete(s);
+        this._subscriptions.clear();
+        this.isOpen = false;
+        this.isReady = false;
+        return 'OK';
+    }
+
+    duplicate() {
+        return new MemoryRedis(this.store);
+    }
+
+    async executeIsolated(fn) {
+        const isolated = await this.duplicate().connect();
+        try {
+            return await fn(isolated);
+        } finally {
+            await isolated.quit();
+        }
+    }
+
+    async watch(keys) {
+        for (const key of list(keys)) this._watched.set(key, this.store.versions.get(key) ?? 0);
+        return 'OK';
+    }
+
+    async unwatch() {
+        this._watched.clear();
+        return 'OK';
+    }
+
+    async subscribe(channels, listener) {
+        for (const channel of list(channels)) this._subscribe(c => c === channel, listener);
+    }
+
+    async pSubscribe(patterns, listener) {
+        for (const pattern of list(patterns)) {
+            const re = globToRegExp(pattern);
+            this._subscribe(c => re.test(c), listener);
+        }
+    }
+
+    _subscribe(match, listener) {
+        const s = { match, listener };
+        this._subscriptions.add(s);
+        this.store.subscriptions.add(s);
+    }
+
+    multi() {
+        return new MemoryMulti(this.store, this);
+    }
+
+    /** Wipe every key (keeps subscriptions). */
+    async flushAll() {
+        this.store.touch(this.store.data.keys());
+        this.store.data.clear();
+        return 'OK';
+    }
+}
+
+/**
+ * MULTI: commands are queued and run back to back by exec(), which returns their replies, or
+ * throws WatchError (running nothing) when a key WATCHed by the connection changed since.
+ */
+class MemoryMulti {
+    constructor(store, connection) {
+        this.store = store;
+        this.connection = connection;
+        this.queued = [];
+    }
+
+    async exec() {
+        const watched = [...this.connection._watched];
+        this.connection._watched.clear();
+        if (watched.some(([key, version]) => (this.store.versions.get(key) ?? 0) !== version)) throw new WatchError();
+        return this.queued.map(([name, args]) => runCommand(this.store, name, args));
+    }
+}
+
+for (const name of Object.keys(COMMANDS)) {
+    MemoryRedis.prototype[name] = async function (...args) {
+        return runCommand(this.store, name, args);
+    };
+    MemoryMulti.prototype[name] = function (...args) {
+        this.queued.push([name, args]);
+        return this;
+    };
+}
+
+/**
+ * AmqpConnector look-alike. Queues must exist to be published to (ENOQUEUE otherwise), unless
+ * created without a `queues` list, in which case any queue exists. Messages are taken by priority
+ * (highest first, then in publishing order); messages past their `expiration` are dropped.
+ * Events: 'disconnected' / 'reconnected' are never emitted.
+ */
+class MemoryAmqp extends EventEmitter {
+    /**
+     * @param {object} [opts]
+     * @param {string[]} [opts.queues] existing queues (default: any queue exists)
+     */
+    constructor({ queues } = {}) {
+        super();
+        this.anyQueue = !Array.isArray(queues);
+        /** @type {Map<string, Array<{ payload: string, options: object, publishedAt: number, seq: number }>>} */
+        this.queues = new Map((queues || []).map(q => [q, []]));
+        /** Taken, not yet acknowledged messages: [{ queueName, message }] */
+        this.unacked = [];
+        this.seq = 0;
+    }
+
+    /** Declare a queue (no-op if it exists). */
+    assertQueue(queueName) {
+        if (!this.queues.has(queueName)) this.queues.set(queueName, []);
+    }
+
+    async checkQueue(queueName) {
+        if (this.anyQueue) this.assertQueue(queueName);
+        return this.queues.has(queueName);
+    }
+
+    async checkQueueOrThrow(queueName) {
+        if (!(await this.checkQueue(queueName))) throw new Error(`ENOQUEUE:${queueName}`);
+    }
+
+    async publish(payload, queueName, options = undefined) {
+        await this.checkQueueOrThrow(queueName);
+        this.queues.get(queueName).push({
+            payload: Buffer.isBuffer(payload) ? payload.toString() : String(payload),
+            options: options || {},
+            publishedAt: Date.now(),
+            seq: this.seq++
+        });
+    }
+
+    async publishBurst(queueName, payload, options = undefined) {
+        await this.publish(payload, queueName, options);
+        return { confirmed: Promise.resolve() };
+    }
+
+    /** Drops expired messages, returns the others in delivery order. */
+    _pending(queueName) {
+        if (!this.queues.has(queueName)) return [];
+        const now = Date.now();
+        const live = this.queues.get(queueName).filter(m => {
+            const ttl = Number(m.options.expiration);
+            return !(Number.isFinite(ttl) && now - m.publishedAt >= ttl);
+        });
+        this.queues.set(queueName, live);
+        return live.slice().sort((a, b) => (b.options.priority || 0) - (a.options.priority || 0) || a.seq - b.seq);
+    }
+
+    /** Pending messages of a queue, in delivery order (non-consuming): [{ payload, options, publishedAt }]. */
+    messages(queueName) {
+        return this._pending(queueName).map(({ payload, options, publishedAt }) => ({ payload, options, publishedAt }));
+    }
+
+    /**
+     * Take the next message of a queue: { payload, options, publishedAt, ack(), nack(requeue = true) },
+     * or null when it is empty. Until ack() it is kept in `unacked`; nack() puts it back in the queue
+     * (or drops it).
+     */
+    async get(queueName) {
+        const [next] = this._pending(queueName);
+        if (!next) return null;
+        this.queues.set(queueName, this.queues.get(queueName).filter(m => m !== next));
+
+        const entry = { queueName, message: next };
+        this.unacked.push(entry);
+        const settle = (requeue) => {
+            if (!this.unacked.includes(entry)) return;
+            this.unacked = this.unacked.filter(e => e !== entry);
+            if (requeue && this.queues.has(queueName)) this.queues.get(queueName).push(next);
+        };
+        return {
+            payload: next.payload,
+            options: next.options,
+            publishedAt: next.publishedAt,
+            ack: () => settle(false),
+            nack: (requeue = true) => settle(requeue)
+        };
+    }
+
+    /** Put every unacknowledged message back in its queue, as the broker does when a worker's channel closes. */
+    recover() {
+        for (const { queueName, message } of this.unacked.splice(0)) {
+            if (this.queues.has(queueName)) this.queues.get(queueName).push(message);
+        }
+    }
+
+    async close() {}
+}
+
+/**
+ * Transport for TaskClient (opts.transport): { redis: MemoryRedis, amqp: MemoryAmqp }.
+ * Share it between clients to let them see the same tasks.
+ * @param {object} [opts]
+ * @param {string[]} [opts.queues] existing AMQP queues (default: any queue exists)
+ */
+function createMemoryTransport(opts = {}) {
+    return { redis: new MemoryRedis(), amqp: new MemoryAmqp(opts) };
+}
+
+module.exports = { MemoryRedis, MemoryAmqp, createMemoryTransport };
@@ -1,48 +1,140 @@
 
+const { toLogger } = require('../utils/logger');
+
 /**
  * Class for exchanging task data and status between 
  * clients and remote executors using Redis.
+ *
+ * Completions are read from the wf:<workId>:tasksPendingCompletionHandling set.
+ * The loop is woken up immediately by a pub/sub message on wf:<workId>:completed
+ * (or a keyspace notification on the set when enabled on the server); the set is
+ * otherwise polled every `fallbackInterval` ms, and not at all while nobody waits.
  */
 class RedisConnector {
     /**
      * Constructor.
      * @param {RedisClient} redisClient redis client
      * @param {string} workId work ID (work = all tasks to be computed)
-     * @param {number} checkInterval loop interval in ms.
+     * @param {number} checkInterval loop interval in ms (polling mode).
+     * @param {object} [opts]
+     * @param {boolean} [opts.notify=true] subscribe to completion notifications (falls back to polling if unavailable)
+     * @param {number} [opts.fallbackInterval=checkInterval] polling interval in ms while subscribed
+     * @param {object} [opts.logger] logger (see utils/logger.js), silent by default
      */
-    constructor(redisClient, workId, checkInterval = 3000) {
+    constructor(redisClient, workId, checkInterval = 3000, opts = {}) {
+        /** @type {Object<string, { promise: Promise, resolve: Function, waiters: number }>} one per awaited task */
         this.taskPromiseResolves = {};
         this.rcl = redisClient;
         this.running = false;
         this.completedNotificationQueueKey = "wf:" + workId + ":tasksPendingCompletionHandling";
+        this.completedChannel = "wf:" + workId + ":completed";
+        this.statusChannel = "wf:" + workId + ":status";
+        this.statusListeners = new Set();
         this.checkInterval = checkInterval;
+        this.notify = opts.notify !== false;
+        this.fallbackInterval = Number.isFinite(opts.fallbackInterval) ? opts.fallbackInterval : checkInterval;
+        this.subscriber = null;
         this._sleepHandle = null;
+        this._wake = null;
+        this._woken = false;
+        this.log = toLogger(opts.logger).child({ component: 'redis' });
     }
 
+    /**
+     * Sleep for `ms` (forever when null) or until woken up by _wakeUp().
+     */
     _sleep(ms) {
         return new Promise((resolve) => {
+            if (this._woken) return resolve();
+            this._wake = resolve;
+            if (ms == null) return;
             this._sleepHandle = setTimeout(resolve, ms);
             if (this._sleepHandle.unref) this._sleepHandle.unref(); 
         });
     }
+
+    _wakeUp() {
+        this._woken = true;
+        if (this._sleepHandle) {
+            clearTimeout(this._sleepHandle);
+            this._sleepHandle = null;
+        }
+        if (this._wake) {
+            const wake = this._wake;
+            this._wake = null;
+            wake();
+        }
+    }
+
+    /**
+     * Subscribe to completion notifications on a dedicated connection.
+     * Returns false (polling only) when the client cannot subscribe.
+     */
+    async _subscribe() {
+        if (!this.notify || typeof this.rcl.duplicate !== "function") return false;
+        let sub = null;
+        try {
+            sub = this.rcl.duplicate();
+            sub.on("error", (error) => this.log.error({ err: error }, "Subscriber error"));
+            // Notifications sent while disconnected are lost: re-check the set on reconnect
+            sub.on("ready", () => this._wakeUp());
+            await sub.connect();
+            await sub.subscribe(this.completedChannel, () => this._wakeUp());
+            // Workers that only SADD are seen too when the server has notify-keyspace-events (e.g. 'Ks')
+            await sub.pSubscribe("__keyspace@*__:" + this.completedNotificationQueueKey, () => this._wakeUp());
+            await sub.subscribe(this.statusChannel, (taskId) => {
+                for (const listener of this.statusListeners) listener(taskId);
+            });
+            this.subscriber = sub;
+            return true;
+        } catch (error) {
+            this.log.warn({ err: error, intervalMs: this.checkInterval }, "Completion notifications unavailable, polling");
+            // Don't leak the dedicated connection when subscribing failed after connecting
+            if (sub?.isOpen) {
+                try {
+                    await sub.quit();
+                } catch (quitError) {
+                    this.log.warn({ err: quitError }, "Unable to close subscriber");
+                }
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Listen to task status changes (wf:<workId>:status, message = taskId).
+     * Only delivered while subscribed (see opts.notify). Returns an unsubscribe function.
+     * @param {function(string): void} listener
+     */
+    onStatus(listener) {
+        this.statusListeners.add(listener);
+        return () => this.statusListeners.delete(listener);
+    }
+
+    hasWaiters() {
+        return Object.keys(this.taskPromiseResolves).length > 0;
+    }
     
     /**
      * Gives promise, that will be resolved on remote
-     * task completion.
+     * task completion. Callers waiting for the same task share the promise.
      * @param {*} taskId task ID
      */
     async waitForTask(taskId) {
-        if (this.taskPromiseResolves[taskId] !== undefined) {
-            console.error("[RedisConnector] Task", taskId, "is already observed");
-            return;
+        let entry = this.taskPromiseResolves[taskId];
+        if (entry === undefined) {
+            this.log.debug({ taskId }, "Waiting for task");
+            entry = { waiters: 0 };
+            entry.promise = new Promise((resolve) => {
+                entry.resolve = resolve;
+            });
+            this.taskPromiseResolves[taskId] = entry;
         }
-        console.log("[RedisConnector] Waiting for task", taskId);
-        let promise = new Promise((resolve, reject) => {
-            this.taskPromiseResolves[taskId] = resolve;
-            console.log(this.taskPromiseResolves);
-        });
+        entry.waiters += 1;
+        // The completion may already be in the set
+        this._wakeUp();
 
-        return promise;
+        return entry.promise;
     }
 
     /**
@@ -51,15 +143,19 @@ class RedisConnector {
      * @param {number} code exit code
      */
     async notifyTaskCompletion(taskId, code) {
-        console.log("[RedisConnector] Adding result", code, "of task", taskId);
+        this.log.debug({ taskId, code }, "Marking task as completed");
         try {
             await this.rcl.sAdd(taskId, code);
         } catch (error) {
-            console.error(error);
-            console.trace("Error trace");
+            this.log.error({ taskId, err: error }, "Unable to add task result");
         }
-        console.log("[RedisConnector] Marking task", taskId, "as completed");
-        return this.rcl.sAdd(this.completedNotificationQueueKey, taskId);
+        const added = await this.rcl.sAdd(this.completedNotificationQueueKey, taskId);
+        try {
+            await this.rcl.publish(this.completedChannel, taskId);
+        } catch (error) {
+            this.log.error({ taskId, err: error }, "Unable to publish task completion");
+        }
+        return added;
     }
 
     /**
@@ -68,49 +164,56 @@ class RedisConnector {
      */
     async run() {
         this.running = true;
+        const subscribed = await this._subscribe();
+        const interval = subscribed ? this.fallbackInterval : this.checkInterval;
+
         while (this.running) {
+            this._woken = false;
+
+            // Nothing to resolve: wait for a waiter (or a stop) instead of polling
+            if (!this.hasWaiters()) {
+                await this._sleep(null);
+                continue;
+            }
 
             let taskId = null;
             try {
                 taskId = await this.rcl.sRandMember(this.completedNotificationQueueKey);
             } catch (error) {
-                console.error("[RedisConnector] Unable to fetch new completed tasks", error);
+                this.log.error({ err: error }, "Unable to fetch new completed tasks");
             }
 
             if (!this.running) break;
             
             if (taskId == null) {
-                await this._sleep(this.checkInterval);
+                await this._sleep(interval);
                 continue;
             }
 
-            console.log("[RedisConnector] Got completed task:", taskId);
-
             let taskResult = null;
             try {
                 /* Wrap results into array to preserve compatibility with blpop format. */
                 taskResult = [null, await this.rcl.sRandMember(taskId)];
             } catch (error) {
-                console.error("[RedisConnector] Unable to get result of task", taskId);
+                this.log.error({ taskId, err: error }, "Unable to get task result");
                 continue;
             }
 
             if (this.taskPromiseResolves[taskId] === undefined) {
-                console.error("[RedisConnector] Observer for task", taskId, "not found");
+                this.log.debug({ taskId }, "Completed task has no observer");
                 await this.rcl.sRem(this.completedNotificationQueueKey, taskId);
                 continue;
             }
-            let promiseResolve = this.taskPromiseResolves[taskId];
-            console.log("Promises count:", Object.keys(this.taskPromiseResolves).length);
+            let promiseResolve = this.taskPromiseResolves[taskId].resolve;
             delete this.taskPromiseResolves[taskId];
 
             try {
                 await this.rcl.sRem(this.completedNotificationQueueKey, taskId);
             } catch (error) {
-                console.error("[RedisConnector] Unable to delete task from completed queue", error);
+                this.log.error({ taskId, err: error }, "Unable to delete task from completed queue");
             }
 
-            console.log("[RedisConnector] Resolving promise for task", taskId, "| result =", taskResult);
+            this.log.debug({ taskId, code: taskResult[1] }, "Task completed");
             promiseResolve(taskResult);
         }
 
@@ -124,31 +227,38 @@ class RedisConnector {
         try {
             return await this.rcl.sRandMember(taskId);
         } catch (e) {
-            console.error("[RedisConnector] peekExitCode error for", taskId, e);
+            this.log.error({ taskId, err: e }, "Unable to peek exit code");
             return null;
         }
     }
 
     /**
-     * Cancel waiting for a given taskId (used on timeout to avoid leaking resolver).
+     * Cancel one wait for a given taskId (used on timeout to avoid leaking resolver).
+     * The resolver is dropped once no caller waits for the task anymore.
      */
     cancelWait(taskId) {
-        if (this.taskPromiseResolves[taskId] !== undefined) {
-            delete this.taskPromiseResolves[taskId];
-            return true;
-        }
-        return false;
+        const entry = this.taskPromiseResolves[taskId];
+        if (entry === undefined) return false;
+        entry.waiters -= 1;
+        if (entry.waiters <= 0) delete this.taskPromiseResolves[taskId];
+        return true;
     }
 
     /**
      * Stops connector.
      */
     async stop() {
-        console.log("[RedisConnector] Requesting stop");
+        this.log.debug("Stopping");
         this.running = false;
-        if (this._sleepHandle) {
-            clearTimeout(this._sleepHandle);
-            this._sleepHandle = null;
+        this._wakeUp();
+        if (this.subscriber) {
+            const sub = this.subscriber;
+            this.subscriber = null;
+            try {
+                await sub.quit();
+            } catch (error) {
+                this.log.warn({ err: error }, "Unable to close subscriber");
+            }
         }
         return;
     }
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * The worker's side of the Redis conventions (see README, Design notes): test helpers to drive
+ * TaskClient apps offline with the in-memory transport (connectors/memoryTransport.js), also used
+ * by the local worker (worker/local.js).
+ */
+
+const { extractWorkId } = require('../utils/ids');
+const {
+    taskMsgKey,
+    taskResultKey,
+    taskRetryKey,
+    taskReportKey,
+    taskStatusKey,
+    taskCancelKey,
+    workCancelKey,
+    completionQueueKey,
+    completionChannelKey,
+    statusChannelKey
+} = require('../utils/keys');
+
+/**
+ * Take the next task of an AMQP queue, as a worker would: consume its message, record RUNNING
+ * and return { taskId, message }, or null when the queue is empty.
+ * Cancelled tasks and tasks that already have an exit code (a redelivered message) are skipped
+ * (no exit code written), like workers should. A redelivered task whose <taskId>_msg was consumed
+ * gets the message kept in <taskId>_retry.
+ * The AMQP message is acknowledged once the task is taken; with `manualAck` it is left to the
+ * caller: the result has ack() / nack(requeue = true), to call once completeTask() has written the
+ * exit code, so that the broker delivers the task again if the worker dies before.
+ * @param {object} [opts]
+ * @param {string} [opts.worker='test-worker'] worker id recorded in the status
+ * @param {boolean} [opts.manualAck=false]
+ */
+async function takeTask(client, queue, { worker = 'test-worker', manualAck = false } = {}) {
+    for (let m = await client.amqp.get(queue); m; m = await client.amqp.get(queue)) {
+        let task;
+        try {
+            task = await claimTask(client, m, worker);
+        } catch (err) {
+            m.nack();
+            throw err;
+        }
+        if (!task) {
+            m.ack();
+            continue;
+        }
+        if (!manualAck) {
+            m.ack();
+            return task;
+        }
+        return { ...task, ack: m.ack, nack: m.nack };
+    }
+    return null;
+}
+
+/** Record RUNNING for the task of an AMQP message: { taskId, message }, or null to skip it. */
+async function claimTask(client, m, worker) {
+    const taskId = JSON.parse(m.payload).tasks?.[0]?.id;
+    if (!taskId) return null;
+    const workId = extractWorkId(taskId) || client.workId;
+
+    const [raw, cancelled, finished] = await Promise.all([
+        client.rcl.lRange(taskMsgKey(taskId), 0, -1),
+        client.rcl.exists([taskCancelKey(taskId), workCancelKey(workId)]),
+        client.rcl.exists(taskResultKey(taskId))
+    ]);
+    if (cancelled > 0 || finished > 0) return null;
+
+    let message = raw.length > 0 ? JSON.parse(raw[raw.length - 1]) : null;
+    if (!message) {
+        const kept = await client.rcl.hGet(taskRetryKey(taskId), 'msg');
+        message = kept ? JSON.parse(kept) : null;
+    }
+
+    await client.rcl.del(taskMsgKey(taskId));
+    await client.rcl.multi()
+        .hSet(taskStatusKey(taskId), { state: 'RUNNING', startedAt: String(Date.now()), worker })
+        .publish(statusChannelKey(workId), taskId)
+        .exec();
+    return { taskId, message };
+}
+
+/**
+ * Finish a task (attempt) with an exit code, as a worker would: status DONE / FAILED, exit code,
+ * completion queue and notifications, so waitForTask / waitForMany / watchWork see it.
+ * Works with any transport. Optional worker report: { result, stdout, stderr, outputs }.
+ */
+async function completeTask(client, taskId, code = 0, report = {}) {
+    const workId = extractWorkId(taskId) || client.workId;
+    const multi = client.rcl.multi()
+        .hSet(taskStatusKey(taskId), {
+            state: Number(code) === 0 ? 'DONE' : 'FAILED',
+            finishedAt: String(Date.now()),
+            exitCode: String(code)
+        });
+
+    const fields = {};
+    if (report.result !== undefined) fields.result = JSON.stringify(report.result);
+    if (report.stdout != null) fields.stdout = String(report.stdout);
+    if (report.stderr != null) fields.stderr = String(report.stderr);
+    if (report.outputs !== undefined) fields.outputs = JSON.stringify(report.outputs);
+    if (Object.keys(fields).length > 0) multi.hSet(taskReportKey(taskId), { exitCode: String(code), ...fields });
+
+    await multi
+        .sAdd(taskResultKey(taskId), String(code))
+        .sAdd(completionQueueKey(workId), taskId)
+        .publish(completionChannelKey(workId), taskId)
+        .publish(statusChannelKey(workId), taskId)
+        .exec();
+}
+
+module.exports = { takeTask, completeTask };
@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * Semantic checks of a manifest, beyond what the JSON Schema can express
+ * (placeholders vs. batching, joined inputs, output vs. input locations).
+ */
+
+const { SCALARS, OBJECT_FIELDS, LAYOUT_VARS, listPlaceholders, singleInputObjects } = require('../args/templating');
+const { parseStorageUrl, formatStorageUrl } = require('../storage');
+
+/**
+ * Objects a task may hold, per placeholder reference: { max, min } ('in' counts every object of
+ * a task, a named input one object per packed tuple). max = 0 when tasks have no input objects.
+ */
+function objectCounts(spec) {
+    const io = spec.io || {};
+    const inputs = Array.isArray(io.inputs) ? io.inputs : [];
+    const batch = io.batch || {};
+    if (!batch.enabled) {
+        // Single task: the inputs naming one object each (see singleInputObjects)
+        const objects = singleInputObjects(inputs);
+        const named = {};
+        if (inputs.length > 1) {
+            for (const input of inputs) {
+                if (!input.name) continue;
+                const n = objects.filter(o => o.name === input.name).length;
+                named[input.name] = { min: n, max: n };
+            }
+        }
+        return { in: { min: objects.length, max: objects.length }, named };
+    }
+    if ((batch.grouping || 'object') !== 'object' || inputs.length === 0) {
+        return { in: { min: 0, max: 0 }, named: {} };
+    }
+
+    // Same defaults as packUnits(): 1 per task, unlimited with a byte budget
+    const units = Number.isFinite(batch.maxPerTask) && batch.maxPerTask > 0
+        ? batch.maxPerTask
+        : (Number.isFinite(batch.maxBytesPerTask) && batch.maxBytesPerTask > 0 ? Infinity : 1);
+
+    const named = {};
+    if (inputs.length > 1) {
+        for (const input of inputs) {
+            if (input.name) named[input.name] = { min: 1, max: units };
+        }
+    }
+    return { in: { min: inputs.length, max: units * inputs.length }, named };
+}
+
+function objectRef(counts, ref) {
+    if (ref === 'in') return { label: 'in', count: counts.in, idx: null };
+    if (Object.prototype.hasOwnProperty.call(counts.named, ref)) return { label: ref, count: counts.named[ref], idx: null };
+
+    const m = /^(.*?)(\d+)$/.exec(ref);
+    if (m) {
+        if (m[1] === 'in') return { label: 'in', count: counts.in, idx: Number(m[2]) };
+        if (Object.prototype.hasOwnProperty.call(counts.named, m[1])) {
+            return { label: m[1], count: counts.named[m[1]], idx: Number(m[2]) };
+        }
+    }
+    return null;
+}
+
+function lintArgs(spec, counts, add) {
+    const batch = spec.io?.batch || {};
+    const byPrefix = !!batch.enabled && batch.grouping === 'prefix';
+    const args = Array.isArray(spec.args) ? spec.args : [];
+
+    args.forEach((arg, i) => {
+        if (typeof arg !== 'string') return;
+        const path = `/args/${i}`;
+
+        for (const { token, ref, star, field } of listPlaceholders(arg)) {
+            if (SCALARS.includes(ref)) {
+                if (star || field) add('error', 'ARGS_INVALID_PLACEHOLDER', path, `${token}: ${ref} has no fields`);
+                else if (ref === 'prefix' && !byPrefix) {
+                    add('error', 'ARGS_PREFIX_UNAVAILABLE', path, `${token} only has a value with batch.grouping: prefix`);
+                }
+                continue;
+            }
+
+            const r = objectRef(counts, ref);
+            if (!r) {
+                const hint = counts.in.max > 0 && Object.keys(counts.named).length === 0 && /^[A-Za-z_]+$/.test(ref)
+                    ? ' (input names only apply when joining several inputs)'
+                    : '';
+                add('error', 'ARGS_UNKNOWN_PLACEHOLDER', path, `Unknown placeholder ${token}${hint}`);
+                continue;
+            }
+            if (field && !OBJECT_FIELDS.includes(field)) {
+                add('error', 'ARGS_UNKNOWN_FIELD', path, `Unknown field '.${field}' in ${token}; use one of: ${OBJECT_FIELDS.join(', ')}`);
+            }
+            if (r.count.max === 0) {
+                add('error', 'ARGS_NO_OBJECTS', path,
+                    `${token} refers to input objects, but tasks have none`
+                    + ' (needs batch.enabled with grouping: object, or single-object input URLs without batching)');
+            } else if (star) {
+                if (r.idx !== null) add('error', 'ARGS_INVALID_PLACEHOLDER', path, `${token}: use either an index or '*'`);
+            } else if (r.idx === null) {
+                if (r.count.max > 1) {
+                    // Unbounded with a byte budget only (maxBytesPerTask without maxPerTask)
+                    const holds = Number.isFinite(r.count.max)
+                        ? `a task holds up to ${r.count.max}`
+                        : 'tasks may hold several objects';
+                    add('error', 'ARGS_AMBIGUOUS_OBJECT', path,
+                        `${token} needs exactly one '${r.label}' object, but ${holds} (use {${r.label}0}.. or {${r.label}*})`);
+                }
+            } else if (r.idx >= r.count.max) {
+                add('error', 'ARGS_INDEX_OUT_OF_RANGE', path,
+                    `${token} is out of range: a task holds up to ${r.count.max} '${r.label}' object(s)`);
+            } else if (r.idx >= r.count.min) {
+                add('warning', 'ARGS_INDEX_MAY_BE_MISSING', path,
+                    `${token} may be missing: the last pack can hold fewer than ${r.idx + 1} '${r.label}' object(s)`);
+            }
+        }
+    });
+}
+
+/**
+ * Same as parseInput() (batching/expand.js), null for an invalid URL (reported by the schema).
+ */
+function inputLocation(input) {
+    if (!input.url) return { scheme: input.type || 's3', bucket: input.bucket, key: input.key || '', prefix: input.prefix || '' };
+    try {
+        return parseStorageUrl(input.url);
+    } catch (_e) {
+        return null;
+    }
+}
+
+function lintIo(spec, add) {
+    const io = spec.io || {};
+    const inputs = Array.isArray(io.inputs) ? io.inputs : [];
+    const batch = io.batch || {};
+    const grouping = batch.grouping || 'object';
+
+    if (batch.enabled && inputs.length === 0) {
+        add('error', 'BATCH_NO_INPUTS', '/io/inputs', 'batch.enabled is true, but spec.io.inputs is empty');
+    }
+
+    if (batch.enabled && inputs.length > 1) {
+        if (grouping !== 'object') {
+            add('error', 'JOIN_GROUPING', '/io/batch/grouping',
+                `batch.grouping: ${grouping} does not support several inputs (use 'object')`);
+        }
+        const seen = new Set();
+        inputs.forEach((input, i) => {
+            if (!input.name) {
+                add('error', 'JOIN_INPUT_UNNAMED', `/io/inputs/${i}`, 'Joined inputs need a name');
+            } else if (seen.has(input.name)) {
+                add('error', 'JOIN_DUPLICATE_NAME', `/io/inputs/${i}/name`, `Input name '${input.name}' is used twice`);
+            }
+            if (input.name) seen.add(input.name);
+        });
+    }
+
+    if (batch.enabled && grouping === 'prefix') {
+        inputs.forEach((input, i) => {
+            if (input.recursive !== undefined) {
+                add('warning', 'PREFIX_RECURSIVE', `/io/inputs/${i}/recursive`,
+                    `recursive is ignored with batch.grouping: prefix (each task downloads its whole subfolder)`);
+            }
+        });
+    }
+
+    if (io.output?.layout) {
+        const vars = [...io.output.layout.matchAll(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g)].map(m => m[1]);
+        for (const v of vars.filter(name => !LAYOUT_VARS.includes(name))) {
+            add('error', 'LAYOUT_UNKNOWN_PLACEHOLDER', '/io/output/layout',
+                `Unknown placeholder {${v}} in layout; use one of: ${LAYOUT_VARS.map(n => `{${n}}`).join(', ')}`);
+        }
+    }
+
+    if (io.output?.url) {
+        let out;
+        try {
+            out = parseStorageUrl(io.output.url);
+        } catch (_e) {
+            return; // reported by the schema
+        }
+        inputs.forEach((input, i) => {
+            const parsed = inputLocation(input);
+            if (!parsed || parsed.scheme !== out.scheme || parsed.bucket !== out.bucket) return;
+            const inPrefix = parsed.prefix || parsed.key || '';
+            if (inPrefix.startsWith(out.prefix) || out.prefix.startsWith(inPrefix)) {
+                add('error', 'OUTPUT_OVERLAPS_INPUT', '/io/output/url',
+                    `Output ${formatStorageUrl(out.scheme, out.bucket, out.prefix)} overlaps input ${i}`
+                    + ` (${formatStorageUrl(parsed.scheme, parsed.bucket, inPrefix)}):`
+                    + ' outputs may be picked up as inputs by later runs');
+            }
+        });
+    }
+}
+
+function lintTask(manifest, base, add) {
+    const spec = manifest?.spec ?? manifest ?? {};
+    const root = manifest?.spec ? `${base}/spec` : base;
+    const local = (level, code, path, message) => add(level, code, `${root}${path}`, message);
+    lintIo(spec, local);
+    lintArgs(spec, objectCounts(spec), local);
+}
+
+/**
+ * Semantic lint of a manifest (Task, or Workflow: every step task). Run it on the manifest as
+ * written: defaults applied by validateManifest() (e.g. inputs[].recursive) look explicit here.
+ * Issues are { code, path (JSON pointer), message }; only errors make the manifest invalid.
+ * @returns {{ valid: boolean, errors: Array, warnings: Array }}
+ */
+function lintManifest(manifest) {
+    const errors = [];
+    const warnings = [];
+    const add = (level, code, path, message) => (level === 'error' ? errors : warnings).push({ code, path, message });
+
+    if (manifest?.kind === 'Workflow') {
+        const steps = Array.isArray(manifest.spec?.steps) ? manifest.spec.steps : [];
+        steps.forEach((step, i) => {
+            if (step?.task) lintTask(step.task, `/spec/steps/${i}/task`, add);
+        });
+    } else {
+        lintTask(manifest, '', add);
+    }
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Throws ELINT (err.details = lint errors) if the manifest has lint errors; warnings are ignored.
+ */
+function assertLintClean(manifest) {
+    const { errors } = lintManifest(manifest);
+    if (errors.length === 0) return;
+
+    const msg = errors.map(e => `• ${e.path || '(root)'} [${e.code}] ${e.message}`).join('\n');
+    const err = new Error(`ELINT: ${errors.length} lint error(s):\n${msg}`);
+    err.details = errors;
+    throw err;
+}
+
+module.exports = { lintManifest, assertLintClean };
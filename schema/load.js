@@ -0,0 +1,134 @@
+'use strict';
+
+const fs = require('node:fs');
+const YAML = require('yaml');
+const { validateManifest } = require('./validate');
+
+/**
+ * A source is read as a file unless it looks like inline content (several lines or a JSON object).
+ */
+function sourceName(pathOrString) {
+    if (typeof pathOrString !== 'string') {
+        throw new TypeError('loadManifest expects a file path or a YAML / JSON string');
+    }
+    const inline = pathOrString.includes('\n') || pathOrString.trimStart().startsWith('{');
+    return inline ? '<string>' : pathOrString;
+}
+
+/**
+ * Interpolate ${VAR} / ${VAR:-default} in a string scalar; $${...} yields a literal ${...}
+ * (e.g. shell variables for the worker). An unset variable without default is an error.
+ */
+function interpolate(value, env, where) {
+    return value.replace(/\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, escape, name, fallback) => {
+        if (escape) return match.slice(1);
+        const v = env[name];
+        if (fallback !== undefined) return v === undefined || v === '' ? fallback : v;
+        if (v !== undefined) return v;
+        throw new Error(`${where}: environment variable ${name} is not set (use \${${name}:-default}, or $\${${name}} for a literal)`);
+    });
+}
+
+function location(source, lineCounter, node, docIndex, docCount) {
+    const pos = node?.range ? lineCounter.linePos(node.range[0]) : null;
+    const at = pos ? `${source}:${pos.line}:${pos.col}` : source;
+    return {
+        where: docCount > 1 ? `${at} (document ${docIndex + 1})` : at,
+        line: pos?.line ?? null,
+        col: pos?.col ?? null
+    };
+}
+
+/**
+ * Closest node of an AJV instancePath (e.g. /spec/io/batch/maxPerTask) in a YAML document.
+ */
+function nodeAt(doc, instancePath) {
+    const path = instancePath.split('/').slice(1).map(p => p.replace(/~1/g, '/').replace(/~0/g, '~'));
+    while (path.length > 0) {
+        const node = doc.getIn(path.map(p => (/^\d+$/.test(p) ? Number(p) : p)), true);
+        if (node && node.range) return node;
+        path.pop();
+    }
+    return doc.contents;
+}
+
+/**
+ * Load every manifest of a YAML or JSON source (file path or content).
+ * YAML sources may hold several documents separated by `---` (empty documents are ignored).
+ * String values are interpolated from `env` (default process.env), then each manifest is
+ * validated (validateManifest, defaults applied); errors point to file:line:col.
+ * Options: { env?, interpolate = true, validate = true }
+ * @returns {object[]}
+ */
+function loadManifests(pathOrString, opts = {}) {
+    const env = opts.env || process.env;
+    const name = sourceName(pathOrString);
+    const text = name === '<string>' ? pathOrString : fs.readFileSync(name, 'utf8');
+
+    const lineCounter = new YAML.LineCounter();
+    const docs = YAML.parseAllDocuments(text, { lineCounter, prettyErrors: false })
+        .filter(doc => doc.errors.length > 0
+            || !(doc.contents === null || (YAML.isScalar(doc.contents) && doc.contents.value === null)));
+
+    const manifests = [];
+    const problems = [];
+    docs.forEach((doc, i) => {
+        const loc = node => location(name, lineCounter, node, i, docs.length);
+
+        if (doc.errors.length > 0) {
+            const e = doc.errors[0];
+            const pos = Array.isArray(e.pos) ? lineCounter.linePos(e.pos[0]) : null;
+            throw new Error(`${name}${pos ? `:${pos.line}:${pos.col}` : ''}: invalid YAML / JSON (${e.message.split('\n')[0]})`);
+        }
+
+        if (opts.interpolate !== false) {
+            YAML.visit(doc, {
+                Scalar(_key, node) {
+                    if (typeof node.value === 'string' && node.value.includes('${')) {
+                        node.value = interpolate(node.value, env, loc(node).where);
+                    }
+                }
+            });
+        }
+
+        const manifest = doc.toJS();
+        if (opts.validate !== false) {
+            const { valid, errors } = validateManifest(manifest);
+            if (!valid) {
+                for (const e of errors) {
+                    const l = loc(nodeAt(doc, e.instancePath));
+                    problems.push({
+                        file: name,
+                        document: i + 1,
+                        line: l.line,
+                        col: l.col,
+                        instancePath: e.instancePath,
+                        message: e.message,
+                        text: `${l.where}: ${e.instancePath || '(root)'} ${e.message}`
+                    });
+                }
+            }
+        }
+        manifests.push(manifest);
+    });
+
+    if (problems.length > 0) {
+        const err = new Error(`Manifest validation failed:\n${problems.map(p => `• ${p.text}`).join('\n')}`);
+        err.details = problems.map(({ text, ...p }) => p);
+        throw err;
+    }
+    return manifests;
+}
+
+/**
+ * Load a single manifest (see loadManifests); fails if the source holds zero or several documents.
+ */
+function loadManifest(pathOrString, opts = {}) {
+    const manifests = loadManifests(pathOrString, opts);
+    if (manifests.length !== 1) {
+        throw new Error(`${sourceName(pathOrString)}: expected one manifest, found ${manifests.length} (use loadManifests)`);
+    }
+    return manifests[0];
+}
+
+module.exports = { loadManifest, loadManifests };
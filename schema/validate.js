@@ -2,37 +2,42 @@
 
 const Ajv = require('ajv');
 
-let _validator;
+let _validators;
 
 /**
- * Build (once) and return AJV instance with our schema compiled.
+ * Build (once) and return validators per manifest kind (Task, Workflow).
  * - useDefaults: apply schema defaults directly to the input object
  * - coerceTypes: coerce ints/bools when it’s safe
  * - allErrors: collect all errors for better messages
  */
-function getValidator() {
-    if (_validator) return _validator;
+function getValidator(kind) {
+    if (!_validators) {
+        const ajv = new Ajv({
+            allErrors: true,
+            useDefaults: true,
+            coerceTypes: true,
+            strict: false
+        });
 
-    const ajv = new Ajv({
-        allErrors: true,
-        useDefaults: true,
-        coerceTypes: true,
-        strict: false
-    });
+        const taskSchema = require('./taskManifest.schema.json');
+        const workflowSchema = require('./workflowManifest.schema.json');
+        ajv.addSchema(taskSchema);
 
-    const schema = require('./taskManifest.schema.json');
-    const validate = ajv.compile(schema);
+        _validators = {
+            Task: ajv.getSchema(taskSchema.$id),
+            Workflow: ajv.compile(workflowSchema)
+        };
+    }
 
-    _validator = validate;
-    return _validator;
+    return _validators[kind] || _validators.Task;
 }
 
 /**
- * Validate a manifest. Mutates the object to apply defaults (AJV behavior).
+ * Validate a manifest (Task or Workflow, picked by `kind`). Mutates the object to apply defaults (AJV behavior).
  * @returns {{ valid: boolean, errors: null | Array }}
  */
 function validateManifest(manifest) {
-    const validate = getValidator();
+    const validate = getValidator(manifest?.kind);
     const ok = validate(manifest);
     return { valid: !!ok, errors: ok ? null : validate.errors || [] };
 }
@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * Storage adapter for file:// URLs: directories of a volume shared with the workers (NFS, PVC).
+ * The bucket is empty and keys are absolute paths, so prefixes and layouts behave as with S3:
+ * file:///mnt/data/demo/ → { bucket: '', prefix: '/mnt/data/demo/' }. Include / exclude globs match
+ * paths relative to the listed directory, the way S3 keys are relative to their bucket.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { matchesFilters } = require('./filters');
+
+function parseFileUrl(url) {
+    if (!url || typeof url !== 'string' || !url.startsWith('file:///')) {
+        throw new Error(`Invalid file URL: ${url}`);
+    }
+    const p = decodeURIComponent(url.slice('file://'.length));
+    const isPrefix = p.endsWith('/');
+    return { bucket: '', key: isPrefix ? '' : p, prefix: isPrefix ? p : '' };
+}
+
+/** Entries of a directory in name order, symlinks resolved; [] when it does not exist. */
+async function readDir(dir) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return [];
+        throw err;
+    }
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    const out = [];
+    for (const e of entries) {
+        const full = `${dir}${e.name}`;
+        let isDir = e.isDirectory();
+        let isFile = e.isFile();
+        if (e.isSymbolicLink()) {
+            const st = await fs.promises.stat(full).catch(() => null);
+            isDir = !!st?.isDirectory();
+            isFile = !!st?.isFile();
+        }
+        if (isDir) out.push({ dir: true, path: `${full}/` });
+        else if (isFile) out.push({ dir: false, path: full });
+    }
+    return out;
+}
+
+async function* walk(dir, recursive) {
+    const subdirs = [];
+    for (const e of await readDir(dir)) {
+        if (!e.dir) yield { path: e.path };
+        else if (recursive) yield* walk(e.path, true);
+        else subdirs.push(e.path);
+    }
+    if (!recursive) yield { commonPrefixes: subdirs };
+}
+
+/**
+ * Same contract as the S3 listObjects(): files under `prefix` (a directory ending with '/',
+ * or a file path), filtered by include / exclude (matched against the path relative to that
+ * directory, or the file name), yielded as { bucket: '', key, size, etag: null };
+ * non-recursive listings end with { commonPrefixes } (subdirectories).
+ */
+async function* listObjects({ prefix = '', recursive = true, include = [], exclude = [], maxFiles }) {
+    let dir = prefix;
+    if (!dir.endsWith('/')) {
+        const st = await fs.promises.stat(dir).catch(() => null);
+        if (!st) return;
+        if (st.isFile()) {
+            if (matchesFilters(path.basename(dir), include, exclude)) yield { bucket: '', key: dir, size: st.size, etag: null };
+            return;
+        }
+        dir = `${dir}/`;
+    }
+
+    let yielded = 0;
+    for await (const e of walk(dir, recursive)) {
+        if (e.commonPrefixes) {
+            if (e.commonPrefixes.length > 0) yield e;
+            continue;
+        }
+        if (!matchesFilters(e.path.slice(dir.length), include, exclude)) continue;
+        const st = await fs.promises.stat(e.path).catch(() => null);
+        if (!st) continue;
+
+        yield { bucket: '', key: e.path, size: st.size, etag: null };
+        yielded += 1;
+        if (maxFiles && yielded >= maxFiles) return;
+    }
+}
+
+/**
+ * Subdirectories at `depth` below basePrefix (same fallback as S3: a level without
+ * subdirectories keeps the previous one).
+ */
+async function listPrefixesAtDepth({ basePrefix = '', depth = 1 }) {
+    if (depth <= 0) return [basePrefix];
+
+    let levelPrefixes = [basePrefix];
+    for (let d = 0; d < depth; d += 1) {
+        const next = [];
+        for (const pref of levelPrefixes) {
+            for (const e of await readDir(pref)) {
+                if (e.dir) next.push(e.path);
+            }
+        }
+        levelPrefixes = next.length ? next : levelPrefixes;
+    }
+    return levelPrefixes;
+}
+
+async function headObject({ key }) {
+    const st = await fs.promises.stat(key).catch(() => null);
+    if (!st || !st.isFile()) return null;
+    return { size: st.size, etag: null, lastModified: st.mtime };
+}
+
+async function downloadObject({ key, file }) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.copyFile(key, file);
+    return file;
+}
+
+const fileAdapter = {
+    scheme: 'file',
+    parseUrl: parseFileUrl,
+    formatUrl: (_bucket, key) => `file://${key}`,
+    createClient: () => null,
+    listObjects,
+    listPrefixesAtDepth,
+    headObject,
+    downloadObject
+};
+
+module.exports = { fileAdapter, parseFileUrl };
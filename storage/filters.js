@@ -0,0 +1,14 @@
+'use strict';
+
+const { minimatch } = require('minimatch');
+
+/**
+ * include / exclude globs of an input, matched against the full object key (or path).
+ */
+function matchesFilters(key, include = [], exclude = []) {
+    if (Array.isArray(include) && include.length > 0 && !include.some(gl => minimatch(key, gl))) return false;
+    if (Array.isArray(exclude) && exclude.length > 0 && exclude.some(gl => minimatch(key, gl))) return false;
+    return true;
+}
+
+module.exports = { matchesFilters };
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Storage adapters, selected by the scheme of input / output URLs (s3://, file://).
+ *
+ * An adapter is { scheme, parseUrl, formatUrl, createClient, listObjects, listPrefixesAtDepth,
+ * headObject, downloadObject }:
+ *  - parseUrl(url) → { bucket, key, prefix } (prefix for URLs ending with '/', key otherwise)
+ *  - formatUrl(bucket, key) → url
+ *  - createClient() → client passed as `client` to the other methods (may be null)
+ *  - listObjects({ client, bucket, prefix, recursive, include, exclude, maxFiles }) → AsyncGenerator of
+ *    { bucket, key, size, etag }, plus { commonPrefixes } when not recursive
+ *  - listPrefixesAtDepth({ client, bucket, basePrefix, depth }) → prefixes
+ *  - headObject({ client, bucket, key }) → { size, etag, lastModified } | null
+ *  - downloadObject({ client, bucket, key, file }) → file
+ */
+
+const { s3Adapter } = require('./s3');
+const { fileAdapter } = require('./file');
+
+const METHODS = ['parseUrl', 'formatUrl', 'createClient', 'listObjects', 'listPrefixesAtDepth', 'headObject', 'downloadObject'];
+
+const adapters = new Map();
+
+/**
+ * Register (or replace) the adapter of a URL scheme.
+ */
+function registerStorageAdapter(adapter) {
+    if (!adapter || typeof adapter.scheme !== 'string' || !/^[a-z][a-z0-9+.-]*$/.test(adapter.scheme)) {
+        throw new Error('ESTORAGE: adapter.scheme must be a lowercase URL scheme (e.g. "gs")');
+    }
+    const missing = METHODS.filter(m => typeof adapter[m] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`ESTORAGE: adapter '${adapter.scheme}' lacks ${missing.join(', ')}`);
+    }
+    adapters.set(adapter.scheme, adapter);
+}
+
+function getStorageAdapter(scheme) {
+    const adapter = adapters.get(scheme);
+    if (!adapter) throw new Error(`ESTORAGE: no storage adapter for '${scheme}://'`);
+    return adapter;
+}
+
+function schemeOf(url) {
+    const m = /^([a-z][a-z0-9+.-]*):\/\//i.exec(typeof url === 'string' ? url : '');
+    if (!m) throw new Error(`ESTORAGE: invalid storage URL: ${url}`);
+    return m[1].toLowerCase();
+}
+
+/**
+ * Parse a storage URL with the adapter of its scheme: { scheme, bucket, key, prefix }.
+ */
+function parseStorageUrl(url) {
+    const scheme = schemeOf(url);
+    return { scheme, ...getStorageAdapter(scheme).parseUrl(url) };
+}
+
+function formatStorageUrl(scheme, bucket, key) {
+    return getStorageAdapter(scheme).formatUrl(bucket, key);
+}
+
+/**
+ * Lazily created storage clients, one per scheme: clients(scheme) → client.
+ * `preset` maps schemes to clients to use instead (e.g. { s3: myS3Client }).
+ */
+function storageClients(preset = {}) {
+    const clients = new Map(Object.entries(preset).filter(([, c]) => c));
+    return (scheme) => {
+        if (!clients.has(scheme)) clients.set(scheme, getStorageAdapter(scheme).createClient());
+        return clients.get(scheme);
+    };
+}
+
+registerStorageAdapter(s3Adapter);
+registerStorageAdapter(fileAdapter);
+
+module.exports = {
+    registerStorageAdapter,
+    getStorageAdapter,
+    parseStorageUrl,
+    formatStorageUrl,
+    storageClients
+};
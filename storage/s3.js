@@ -1,7 +1,10 @@
 'use strict';
 
-const { S3Client, ListObjectsV2Command } = require('@aws-sdk/client-s3');
-const { minimatch } = require('minimatch')
+const fs = require('node:fs');
+const path = require('node:path');
+const { pipeline } = require('node:stream/promises');
+const { S3Client, ListObjectsV2Command, HeadObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { matchesFilters } = require('./filters');
 
 function bool(value, def = false) {
     if (value === undefined || value === null) return def;
@@ -51,14 +54,7 @@ async function* listObjects({ s3, bucket, prefix = '', recursive = true, include
             const key = obj.Key;
             if (!key) continue;
 
-            if (Array.isArray(include) && include.length > 0) {
-                const ok = include.some(gl => minimatch(key, gl));
-                if (!ok) continue;
-            }
-            if (Array.isArray(exclude) && exclude.length > 0) {
-                const bad = exclude.some(gl => minimatch(key, gl));
-                if (bad) continue;
-            }
+            if (!matchesFilters(key, include, exclude)) continue;
 
             yield { bucket, key, size: obj.Size ?? null, etag: obj.ETag ?? null };
             yielded += 1;
@@ -105,9 +101,51 @@ async function listPrefixesAtDepth({ s3, bucket, basePrefix = '', depth = 1 }) {
     return levelPrefixes;
 }
 
+/**
+ * HEAD an object. Returns { size, etag, lastModified } or null when it does not exist.
+ */
+async function headObject({ s3, bucket, key }) {
+    s3 = s3 || makeS3ClientFromEnv();
+    try {
+        const resp = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: resp.ContentLength ?? null, etag: resp.ETag ?? null, lastModified: resp.LastModified ?? null };
+    } catch (err) {
+        if (err?.name === 'NotFound' || err?.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+    }
+}
+
+/**
+ * Download an object to a local file (parent directories are created).
+ */
+async function downloadObject({ s3, bucket, key, file }) {
+    s3 = s3 || makeS3ClientFromEnv();
+    const resp = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await pipeline(resp.Body, fs.createWriteStream(file));
+    return file;
+}
+
+/**
+ * Storage adapter for s3:// URLs (see storage/index.js).
+ */
+const s3Adapter = {
+    scheme: 's3',
+    parseUrl: parseS3Url,
+    formatUrl: (bucket, key) => `s3://${bucket}/${key}`,
+    createClient: makeS3ClientFromEnv,
+    listObjects: ({ client, ...opts }) => listObjects({ s3: client, ...opts }),
+    listPrefixesAtDepth: ({ client, ...opts }) => listPrefixesAtDepth({ s3: client, ...opts }),
+    headObject: ({ client, ...opts }) => headObject({ s3: client, ...opts }),
+    downloadObject: ({ client, ...opts }) => downloadObject({ s3: client, ...opts })
+};
+
 module.exports = {
+    s3Adapter,
     makeS3ClientFromEnv,
     parseS3Url,
     listObjects,
-    listPrefixesAtDepth
+    listPrefixesAtDepth,
+    headObject,
+    downloadObject
 };
@@ -1,10 +1,18 @@
 'use strict';
 
+const { renderArgs, argsContext } = require('../args/templating');
+const { extractWorkId } = require('../utils/ids');
+
+/**
+ * Task message consumed by the worker. Args templates are rendered here, once the taskId is known.
+ * `timeoutSec` is the task deadline (counted from its start): workers should stop the task past it.
+ */
 function buildTaskMsgFromPlan(spec, plan, taskId) {
+    const ctx = argsContext(plan, { workId: extractWorkId(taskId), taskId });
     const msg = {
         executable: spec.executable || spec.cmd,
         name:       spec.name,
-        args:       Array.isArray(plan.args) ? plan.args : (spec.args || []),
+        args:       renderArgs(Array.isArray(plan.args) ? plan.args : (spec.args || []), ctx),
         work_dir:   spec.work_dir,
         input_dir:  spec.input_dir,
         output_dir: spec.output_dir,
@@ -12,6 +20,7 @@ function buildTaskMsgFromPlan(spec, plan, taskId) {
         outputs:    Array.isArray(spec.outputs) ? spec.outputs : [],
         taskId,
         taskType:   spec.taskType,
+        timeoutSec: spec.timeoutSec,
         io: {
             inputs: plan.inputs || [],
             output: spec.io?.output || undefined,
@@ -21,4 +30,12 @@ function buildTaskMsgFromPlan(spec, plan, taskId) {
     return msg;
 }
 
-module.exports = { buildTaskMsgFromPlan };
+/**
+ * AMQP payload announcing a task ID to the worker pool.
+ * `message` is kept for compatibility with HyperFlow Executor.
+ */
+function buildTaskPayload(taskId) {
+    return JSON.stringify({ tasks: [ { id: taskId, message: null } ] });
+}
+
+module.exports = { buildTaskMsgFromPlan, buildTaskPayload };
@@ -0,0 +1,94 @@
+'use strict';
+
+const { extractWorkId } = require('../utils/ids');
+const {
+    taskMsgKey,
+    taskResultKey,
+    taskCancelKey,
+    taskRetryKey,
+    taskStatusKey,
+    workTasksKey,
+    workCancelKey,
+    completionQueueKey,
+    completionChannelKey,
+    statusChannelKey
+} = require('../utils/keys');
+
+/**
+ * Follow retry links (see spec.retry) to the latest attempt of a task.
+ */
+async function latestAttempt(client, taskId) {
+    let current = taskId;
+    for (;;) {
+        const next = await client.rcl.hGet(taskRetryKey(current), 'next');
+        if (!next) return current;
+        current = next;
+    }
+}
+
+/**
+ * Cancel a single task (its latest attempt when it was retried).
+ * - writes the <taskId>_cancel marker (workers check it before running)
+ * - removes <taskId>_msg if the worker did not consume it yet
+ * - sets its status (<taskId>_status) to CANCELLED
+ * - enqueues the task into the completion queue (and notifies it) so waiters wake up with CANCELLED
+ * A task already settled (exit code, or status DONE / FAILED / CANCELLED / EXPIRED) is left untouched
+ * and reported in its state (FAILED as DONE).
+ * Returns { taskId, state: 'CANCELLED'|'DONE'|'EXPIRED', removedMsg: boolean }
+ */
+async function cancelTask(client, taskId) {
+    await client.ready();
+
+    const workId = extractWorkId(taskId) || client.workId;
+    const attemptId = await latestAttempt(client, taskId);
+
+    const [existing, state] = await Promise.all([
+        client.rcl.sRandMember(taskResultKey(attemptId)),
+        client.rcl.hGet(taskStatusKey(attemptId), 'state')
+    ]);
+    if (existing != null || state === 'DONE' || state === 'FAILED') {
+        return { taskId, state: 'DONE', removedMsg: false };
+    }
+    if (state === 'CANCELLED' || state === 'EXPIRED') {
+        return { taskId, state, removedMsg: false };
+    }
+
+    const replies = await client.rcl.multi()
+        .set(taskCancelKey(attemptId), String(Date.now()))
+        .del(taskMsgKey(attemptId))
+        .hSet(taskStatusKey(attemptId), { state: 'CANCELLED', finishedAt: String(Date.now()) })
+        .sAdd(completionQueueKey(workId), attemptId)
+        .publish(completionChannelKey(workId), attemptId)
+        .publish(statusChannelKey(workId), attemptId)
+        .exec();
+
+    const removedMsg = Number(replies?.[1]) > 0;
+    return { taskId, state: 'CANCELLED', removedMsg };
+}
+
+/**
+ * Cancel every task registered in work:<workId>:tasks and mark the work itself as cancelled.
+ * Tasks cancelled earlier are listed in `cancelled`, expired ones in `expired`.
+ * Returns { workId, cancelled: string[], done: string[], expired: string[] }
+ */
+async function cancelWork(client, workId) {
+    await client.ready();
+
+    await client.rcl.set(workCancelKey(workId), String(Date.now()));
+
+    const taskIds = await client.rcl.sMembers(workTasksKey(workId));
+    const cancelled = [];
+    const done = [];
+    const expired = [];
+
+    for (const taskId of taskIds) {
+        const r = await cancelTask(client, taskId);
+        if (r.state === 'CANCELLED') cancelled.push(taskId);
+        else if (r.state === 'EXPIRED') expired.push(taskId);
+        else done.push(taskId);
+    }
+
+    return { workId, cancelled, done, expired };
+}
+
+module.exports = { cancelTask, cancelWork };
@@ -0,0 +1,83 @@
+'use strict';
+
+const { listTasks } = require('../watch/status');
+const {
+    taskMsgKey,
+    taskResultKey,
+    taskCancelKey,
+    taskRetryKey,
+    taskOutputsKey,
+    taskReportKey,
+    taskStatusKey,
+    workTasksKey,
+    workCheckpointKey,
+    workCancelKey,
+    workflowStepsKey,
+    completionQueueKey
+} = require('../utils/keys');
+
+const SETTLED = new Set(['DONE', 'FAILED', 'CANCELLED', 'EXPIRED']);
+
+/**
+ * All attempt ids of a task (retry links followed from the first attempt, plus speculative copies).
+ */
+async function attemptIds(client, taskId) {
+    const ids = [];
+    let current = taskId;
+    while (current) {
+        ids.push(current);
+        const [next, copy] = await client.rcl.hmGet(taskRetryKey(current), ['next', 'copy']);
+        if (copy && copy !== next) ids.push(copy);
+        current = next;
+    }
+    return ids;
+}
+
+/**
+ * Delete every Redis key of a work: per-attempt keys (exit code, message, retry, outputs,
+ * report, status, cancel marker) and the work-level sets / hashes.
+ * Refuses with EWORKACTIVE while some tasks are not settled, unless `force: true`.
+ * Returns { workId, tasks, deletedKeys }
+ */
+async function cleanWork(client, workId, { force = false } = {}) {
+    await client.ready();
+
+    const statuses = await listTasks(client, workId);
+    const active = statuses.filter(s => !SETTLED.has(s.state));
+    if (active.length > 0 && !force) {
+        const err = new Error(`EWORKACTIVE: ${active.length} task(s) of work ${workId} are not settled`);
+        err.details = active.map(s => ({ taskId: s.taskId, state: s.state }));
+        throw err;
+    }
+
+    const keys = [
+        workTasksKey(workId),
+        workCheckpointKey(workId),
+        workCancelKey(workId),
+        workflowStepsKey(workId),
+        completionQueueKey(workId)
+    ];
+    for (const s of statuses) {
+        for (const id of await attemptIds(client, s.taskId)) {
+            keys.push(
+                taskResultKey(id),
+                taskMsgKey(id),
+                taskRetryKey(id),
+                taskOutputsKey(id),
+                taskReportKey(id),
+                taskStatusKey(id),
+                taskCancelKey(id)
+            );
+        }
+    }
+
+    // DEL in chunks to keep each command reasonably small
+    let deletedKeys = 0;
+    for (let i = 0; i < keys.length; i += 500) {
+        deletedKeys += Number(await client.rcl.del(keys.slice(i, i + 500))) || 0;
+    }
+
+    return { workId, tasks: statuses.length, deletedKeys };
+}
+
+module.exports = { cleanWork };
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Delivery settings of a task (AMQP priority and message TTL).
+ */
+
+/**
+ * Merge spec.priority / spec.ttlSec with per-call overrides.
+ * Returns { priority?, ttlSec? }, or null when neither is set.
+ */
+function resolveDelivery(spec, { priority, ttlSec } = {}) {
+    const p = priority ?? spec.priority;
+    const ttl = ttlSec ?? spec.ttlSec;
+    const delivery = {};
+    if (p != null) {
+        if (!Number.isInteger(p) || p < 0 || p > 255) throw new Error(`Invalid priority ${p} (expected an integer 0-255)`);
+        delivery.priority = p;
+    }
+    if (ttl != null) {
+        if (!Number.isFinite(ttl) || ttl <= 0) throw new Error(`Invalid ttlSec ${ttl} (expected a positive number)`);
+        delivery.ttlSec = ttl;
+    }
+    return Object.keys(delivery).length > 0 ? delivery : null;
+}
+
+/**
+ * amqplib sendToQueue options of a delivery: `priority`, and `expiration` (per-message TTL, ms as a string).
+ */
+function publishOptions(delivery) {
+    if (!delivery) return undefined;
+    const options = {};
+    if (delivery.priority !== undefined) options.priority = delivery.priority;
+    if (delivery.ttlSec !== undefined) options.expiration = String(Math.ceil(delivery.ttlSec * 1000));
+    return options;
+}
+
+/**
+ * Epoch ms after which a message published `now` is dropped by the broker (null without TTL).
+ */
+function expiryTime(delivery, now = Date.now()) {
+    return delivery?.ttlSec !== undefined ? now + Math.ceil(delivery.ttlSec * 1000) : null;
+}
+
+module.exports = { resolveDelivery, publishOptions, expiryTime };
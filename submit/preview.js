@@ -0,0 +1,119 @@
+'use strict';
+
+const { generateWorkId, generateTaskId } = require('../utils/ids');
+const { planBatchChecked } = require('../batching/outputs');
+const { getStorageAdapter, parseStorageUrl, storageClients } = require('../storage');
+const { buildTaskMsgFromPlan } = require('./buildTaskMsg');
+
+/**
+ * Count objects/bytes behind plan inputs that were not listed by the planner
+ * (single task, prefix grouping). Lists the storage with the input's include/exclude filters.
+ */
+async function countInputs(clients, inputs) {
+    let objects = 0;
+    let bytes = 0;
+    for (const input of inputs) {
+        const parsed = input.url
+            ? parseStorageUrl(input.url)
+            : { scheme: input.type || 's3', bucket: input.bucket, key: input.key || '', prefix: input.prefix || '' };
+        const gen = getStorageAdapter(parsed.scheme).listObjects({
+            client: clients(parsed.scheme),
+            bucket: parsed.bucket,
+            prefix: parsed.prefix || parsed.key || '',
+            recursive: input.recursive !== false,
+            include: input.include || [],
+            exclude: input.exclude || [],
+            maxFiles: input.maxFiles
+        });
+        for await (const obj of gen) {
+            if (obj.commonPrefixes) continue;
+            objects += 1;
+            bytes += obj.size || 0;
+        }
+    }
+    return { objects, bytes };
+}
+
+/**
+ * AsyncGenerator of what createBatch would submit, without touching Redis or AMQP.
+ * Yields { taskId, message, source, objects, bytes, status, outputs, existingOutputs }
+ * (taskIds are generated but never registered; status is planned / skipped / conflict,
+ * see spec.io.output.overwrite). Items that would not be submitted have taskId/message null.
+ * Options: workId, countObjects (default true; lists the storage for prefix/single items), logger.
+ */
+async function* previewBatchStream(manifest, { workId, countObjects = true, logger } = {}) {
+    const spec = manifest.spec ?? manifest;
+    const wid = workId || manifest?.metadata?.workId || generateWorkId();
+    const clients = storageClients();
+
+    for await (const planItem of planBatchChecked(spec, { logger })) {
+        const planned = planItem.status === 'planned';
+        const taskId = planned ? generateTaskId(wid) : null;
+        let { objects = null, bytes = null } = planItem;
+        if (objects === null && countObjects) {
+            ({ objects, bytes } = await countInputs(clients, planItem.inputs || []));
+        }
+        yield {
+            taskId,
+            message: planned ? buildTaskMsgFromPlan(spec, planItem, taskId) : null,
+            source: planItem.source,
+            objects,
+            bytes,
+            status: planItem.status,
+            outputs: planItem.outputs ?? null,
+            existingOutputs: planItem.existingOutputs
+        };
+    }
+}
+
+/**
+ * Dry run of createBatch: plan and build every task message, no connection needed.
+ * Options: workId, countObjects, logger, includeMessages (default true; false keeps only the summary).
+ * Returns { workId, tasks: string[], messages: object[], items, summary }
+ * summary = { tasks, objects, bytes, largestPack, smallestPack, skipped, conflicts }
+ * (tasks/objects/bytes/packs cover planned items only; packs compared by bytes, then objects)
+ */
+async function previewBatch(manifest, opts = {}) {
+    const workId = opts.workId || manifest?.metadata?.workId || generateWorkId();
+    const includeMessages = opts.includeMessages !== false;
+
+    const tasks = [];
+    const messages = [];
+    const items = [];
+    const summary = { tasks: 0, objects: 0, bytes: 0, largestPack: null, smallestPack: null, skipped: 0, conflicts: 0 };
+
+    const weight = (p) => [p.bytes ?? 0, p.objects ?? 0];
+    const heavier = (a, b) => {
+        const [ab, ao] = weight(a);
+        const [bb, bo] = weight(b);
+        return ab !== bb ? ab > bb : ao > bo;
+    };
+
+    for await (const item of previewBatchStream(manifest, { ...opts, workId })) {
+        if (includeMessages) {
+            items.push({ source: item.source, status: item.status, outputs: item.outputs, existingOutputs: item.existingOutputs });
+        }
+        if (item.status !== 'planned') {
+            if (item.status === 'skipped') summary.skipped += 1;
+            else summary.conflicts += 1;
+            continue;
+        }
+
+        if (includeMessages) {
+            tasks.push(item.taskId);
+            messages.push(item.message);
+        }
+
+        summary.tasks += 1;
+        summary.objects += item.objects || 0;
+        summary.bytes += item.bytes || 0;
+
+        const pack = { taskId: item.taskId, objects: item.objects, bytes: item.bytes, source: item.source };
+        if (!summary.largestPack || heavier(pack, summary.largestPack)) summary.largestPack = pack;
+        if (!summary.smallestPack || heavier(summary.smallestPack, pack)) summary.smallestPack = pack;
+    }
+
+    return { workId, tasks, messages, items, summary };
+}
+
+module.exports = { previewBatch, previewBatchStream };
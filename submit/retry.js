@@ -0,0 +1,211 @@
+'use strict';
+
+const { generateTaskId, extractWorkId } = require('../utils/ids');
+const { taskMsgKey, taskResultKey, taskRetryKey, taskOutputsKey, taskStatusKey, workCancelKey } = require('../utils/keys');
+const { buildTaskPayload } = require('./buildTaskMsg');
+const { markQueued } = require('./status');
+const { publishOptions, expiryTime } = require('./delivery');
+const { loggerOf } = require('../utils/logger');
+
+/**
+ * Merge spec.retry with per-call overrides and apply defaults.
+ * Returns null when retries are disabled (maxAttempts <= 1).
+ */
+function resolveRetryPolicy(specRetry, override) {
+    const src = { ...(specRetry || {}), ...(override || {}) };
+    const maxAttempts = Number.isFinite(src.maxAttempts) ? Math.floor(src.maxAttempts) : 1;
+    if (maxAttempts <= 1) return null;
+
+    const backoff = src.backoff || {};
+    return {
+        maxAttempts,
+        backoff: {
+            delaySec:    Number.isFinite(backoff.delaySec) ? backoff.delaySec : 0,
+            factor:      Number.isFinite(backoff.factor) ? backoff.factor : 2,
+            maxDelaySec: Number.isFinite(backoff.maxDelaySec) ? backoff.maxDelaySec : 300
+        },
+        retryOn: Array.isArray(src.retryOn) ? src.retryOn.map(Number) : []
+    };
+}
+
+function shouldRetry(policy, code) {
+    if (!Number.isFinite(code) || code === 0) return false;
+    return policy.retryOn.length === 0 || policy.retryOn.includes(code);
+}
+
+function backoffMs(policy, attempt) {
+    const { delaySec, factor, maxDelaySec } = policy.backoff;
+    const sec = Math.min(maxDelaySec, delaySec * Math.pow(factor, attempt - 1));
+    return Math.max(0, sec) * 1000;
+}
+
+/**
+ * Store retry metadata for a freshly submitted task (attempt 1 = root); `policy` is null
+ * without retries. The message is kept so the task can be resubmitted (retries, speculative
+ * copies) after the worker consumed <taskId>_msg; so is its delivery (priority / TTL, see
+ * submit/delivery.js). Copies record the attempt they duplicate in `copyOf`.
+ */
+async function registerRetry(client, taskId, msg, queue, policy, { root = taskId, attempt = 1, delivery = null, copyOf = null } = {}) {
+    const fields = {
+        root,
+        attempt: String(attempt),
+        queue,
+        policy: JSON.stringify(policy),
+        msg: JSON.stringify(msg)
+    };
+    if (delivery) fields.delivery = JSON.stringify(delivery);
+    if (copyOf) fields.copyOf = copyOf;
+    await client.rcl.hSet(taskRetryKey(taskId), fields);
+}
+
+async function readRetry(client, taskId) {
+    const h = await client.rcl.hGetAll(taskRetryKey(taskId));
+    if (!h || !h.root) return null;
+    return {
+        root: h.root,
+        attempt: Number.parseInt(h.attempt, 10) || 1,
+        queue: h.queue,
+        policy: JSON.parse(h.policy),
+        msg: JSON.parse(h.msg),
+        delivery: h.delivery ? JSON.parse(h.delivery) : null,
+        next: h.next || null
+    };
+}
+
+/**
+ * Publish the message of attempt `taskId` again under `newId` (retry hash, outputs, message,
+ * QUEUED status). {taskId} in args was rendered for the old attempt: it points at the new one.
+ */
+async function resubmit(client, info, taskId, newId, { attempt, copyOf = null }) {
+    const args = Array.isArray(info.msg.args)
+        ? info.msg.args.map(a => (typeof a === 'string' ? a.split(taskId).join(newId) : a))
+        : info.msg.args;
+    const msg = { ...info.msg, args, taskId: newId };
+    await registerRetry(client, newId, msg, info.queue, info.policy, {
+        root: info.root,
+        attempt,
+        delivery: info.delivery,
+        copyOf
+    });
+    const outputs = await client.rcl.get(taskOutputsKey(taskId));
+    if (outputs) await client.rcl.set(taskOutputsKey(newId), outputs);
+    await client.rcl.lPush(taskMsgKey(newId), JSON.stringify(msg));
+    await markQueued(client, newId, attempt, { expiresAt: expiryTime(info.delivery), timeoutSec: msg.timeoutSec });
+    await client.amqp.publish(buildTaskPayload(newId), info.queue, publishOptions(info.delivery));
+}
+
+/**
+ * resubmit() under a `field` (next / copy) of the attempt's retry hash claimed beforehand.
+ * If it fails (e.g. ENOQUEUE), the claim and the traces of the new attempt are removed, so no
+ * watcher follows a link to an attempt that was never published; the error is rethrown.
+ */
+async function resubmitClaimed(client, info, taskId, newId, field, opts) {
+    try {
+        await resubmit(client, info, taskId, newId, opts);
+    } catch (err) {
+        await client.rcl.hDel(taskRetryKey(taskId), field).catch(() => {});
+        await client.rcl.del([taskMsgKey(newId), taskRetryKey(newId), taskOutputsKey(newId), taskStatusKey(newId)])
+            .catch(() => {});
+        throw err;
+    }
+}
+
+/**
+ * Called by the watchers when an attempt finished with `code`.
+ * Resubmits the task under a new taskId if the policy allows it (after backoff)
+ * and returns that taskId; returns null when the result is final.
+ * Concurrent watchers agree on a single next attempt (HSETNX on `next`).
+ * Throws when the next attempt cannot be published (the attempt then stays final).
+ */
+async function retryIfNeeded(client, taskId, code) {
+    const info = await readRetry(client, taskId);
+    if (!info) return null;
+    if (info.next) return info.next;
+    if (!info.policy || !shouldRetry(info.policy, code)) return null;
+    if (info.attempt >= info.policy.maxAttempts) return null;
+
+    const workId = extractWorkId(taskId) || client.workId;
+    if (await client.rcl.exists(workCancelKey(workId))) return null;
+    const nextId = generateTaskId(workId);
+    const claimed = await client.rcl.hSetNX(taskRetryKey(taskId), 'next', nextId);
+    if (!claimed) {
+        return (await client.rcl.hGet(taskRetryKey(taskId), 'next')) || null;
+    }
+
+    const delay = backoffMs(info.policy, info.attempt);
+    if (delay > 0) await new Promise(res => setTimeout(res, delay));
+
+    await resubmitClaimed(client, info, taskId, nextId, 'next', { attempt: info.attempt + 1 });
+    loggerOf(client).info({ workId, taskId, queue: info.queue, code, attempt: info.attempt + 1, retryId: nextId }, 'Task retried');
+    return nextId;
+}
+
+/**
+ * Speculative copy of an overdue attempt: the same message under a new taskId, published while
+ * the attempt may still be running (the watchers take whichever finishes first, see adoptCopy).
+ * One copy per attempt (HSETNX on `copy`). Returns the copy's taskId, or null when the work
+ * was cancelled or the attempt has no stored message.
+ */
+async function submitCopy(client, taskId) {
+    const info = await readRetry(client, taskId);
+    if (!info) return null;
+
+    const workId = extractWorkId(taskId) || client.workId;
+    if (await client.rcl.exists(workCancelKey(workId))) return null;
+    const copyId = generateTaskId(workId);
+    const claimed = await client.rcl.hSetNX(taskRetryKey(taskId), 'copy', copyId);
+    if (!claimed) {
+        return (await client.rcl.hGet(taskRetryKey(taskId), 'copy')) || null;
+    }
+
+    await resubmitClaimed(client, info, taskId, copyId, 'copy', { attempt: info.attempt, copyOf: taskId });
+    loggerOf(client).info({ workId, taskId, queue: info.queue, copyId }, 'Speculative copy submitted');
+    return copyId;
+}
+
+/**
+ * A copy finished first: make it the next attempt of the one it duplicates, so statuses,
+ * results and later watchers follow it. No-op if that attempt already has a next one.
+ */
+async function adoptCopy(client, taskId, copyId) {
+    await client.rcl.hSetNX(taskRetryKey(taskId), 'next', copyId);
+}
+
+/**
+ * Attempt history of a task (any attempt id can be passed).
+ * Returns [{ taskId, attempt, code: number|null }] from the first attempt to the latest one.
+ */
+async function getTaskAttempts(client, taskId) {
+    await client.ready();
+
+    const info = await readRetry(client, taskId);
+    if (!info) {
+        const v = await client.rcl.sRandMember(taskResultKey(taskId));
+        return [{ taskId, attempt: 1, code: v == null ? null : Number.parseInt(String(v), 10) }];
+    }
+
+    const history = [];
+    let current = info.root;
+    while (current) {
+        const [v, next] = await Promise.all([
+            client.rcl.sRandMember(taskResultKey(current)),
+            client.rcl.hGet(taskRetryKey(current), 'next')
+        ]);
+        history.push({
+            taskId: current,
+            attempt: history.length + 1,
+            code: v == null ? null : Number.parseInt(String(v), 10)
+        });
+        current = next || null;
+    }
+    return history;
+}
+
+module.exports = {
+    resolveRetryPolicy,
+    registerRetry,
+    retryIfNeeded,
+    submitCopy,
+    adoptCopy,
+    getTaskAttempts
+};
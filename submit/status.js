@@ -0,0 +1,76 @@
+'use strict';
+
+const { WatchError } = require('redis');
+const { extractWorkId } = require('../utils/ids');
+const {
+    taskMsgKey,
+    taskResultKey,
+    taskStatusKey,
+    completionQueueKey,
+    completionChannelKey,
+    statusChannelKey
+} = require('../utils/keys');
+
+/**
+ * Update the status hash of an attempt and announce it on wf:<workId>:status.
+ */
+async function writeStatus(client, taskId, fields) {
+    const workId = extractWorkId(taskId) || client.workId;
+    const values = Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, String(v)]));
+    await client.rcl.multi()
+        .hSet(taskStatusKey(taskId), values)
+        .publish(statusChannelKey(workId), taskId)
+        .exec();
+}
+
+/**
+ * Initial status of a submitted attempt. Written before publishing, so a worker's
+ * RUNNING update can't be overwritten by it. `expiresAt` is set for messages with a TTL,
+ * `timeoutSec` for tasks with a deadline (spec.timeoutSec).
+ */
+async function markQueued(client, taskId, attempt = 1, { expiresAt, timeoutSec } = {}) {
+    const fields = { state: 'QUEUED', submittedAt: Date.now(), attempt };
+    if (expiresAt != null) fields.expiresAt = expiresAt;
+    if (timeoutSec != null) fields.timeoutSec = timeoutSec;
+    await writeStatus(client, taskId, fields);
+}
+
+/**
+ * Mark an attempt whose message expired in the queue (still QUEUED, no exit code, <taskId>_msg
+ * not taken) as EXPIRED and enqueue it into the completion queue, like cancelTask, so every
+ * waiter wakes up. Returns false (and changes nothing) when a worker picked the task up meanwhile.
+ * The checked keys are WATCHed (on an isolated connection): a worker touching them between the
+ * check and the update aborts it.
+ */
+async function markExpired(client, taskId) {
+    const workId = extractWorkId(taskId) || client.workId;
+    const keys = [taskStatusKey(taskId), taskResultKey(taskId), taskMsgKey(taskId)];
+    try {
+        return await client.rcl.executeIsolated(async (rcl) => {
+            await rcl.watch(keys);
+            const [state, code, msgExists] = await Promise.all([
+                rcl.hGet(taskStatusKey(taskId), 'state'),
+                rcl.sRandMember(taskResultKey(taskId)),
+                rcl.exists(taskMsgKey(taskId))
+            ]);
+            if (state !== 'QUEUED' || code != null || !(msgExists > 0)) {
+                await rcl.unwatch();
+                return false;
+            }
+
+            await rcl.multi()
+                .del(taskMsgKey(taskId))
+                .hSet(taskStatusKey(taskId), { state: 'EXPIRED', finishedAt: String(Date.now()) })
+                .sAdd(completionQueueKey(workId), taskId)
+                .publish(completionChannelKey(workId), taskId)
+                .publish(statusChannelKey(workId), taskId)
+                .exec();
+            return true;
+        });
+    } catch (err) {
+        if (err instanceof WatchError) return false;
+        throw err;
+    }
+}
+
+module.exports = { writeStatus, markQueued, markExpired };
@@ -1,14 +1,58 @@
 'use strict';
 
 const { generateWorkId, generateTaskId } = require('../utils/ids');
-const { planBatch } = require('../batching/expand');
-const { buildTaskMsgFromPlan } = require('./buildTaskMsg');
+const { needsOutputCheck, planBatchChecked, assertNoExistingOutputs } = require('../batching/outputs');
+const { buildTaskMsgFromPlan, buildTaskPayload } = require('./buildTaskMsg');
+const { resolveRetryPolicy, registerRetry } = require('./retry');
+const { markQueued } = require('./status');
+const { resolveDelivery, publishOptions, expiryTime } = require('./delivery');
+const { previewBatch } = require('./preview');
+const { assertLintClean } = require('../schema/lint');
+const { loggerOf } = require('../utils/logger');
+const {
+    taskMsgKey,
+    taskRetryKey,
+    taskOutputsKey,
+    taskStatusKey,
+    workTasksKey,
+    workCheckpointKey
+} = require('../utils/keys');
 
+/**
+ * Remove Redis traces of a task the broker did not accept, so it doesn't remain "orphaned".
+ */
+async function rollbackTask(client, taskId) {
+    try {
+        await client.rcl.del([taskMsgKey(taskId), taskRetryKey(taskId), taskOutputsKey(taskId), taskStatusKey(taskId)]);
+    } catch (_e) {}
+}
+
+/**
+ * Remember where the task's outputs go (read back by getTaskResult).
+ */
+async function registerOutputs(client, taskId, spec, planItem) {
+    if (!spec.io?.output) return;
+    await client.rcl.set(taskOutputsKey(taskId), JSON.stringify({
+        output: spec.io.output,
+        expected: planItem.outputs ?? null
+    }));
+}
+
+/**
+ * Stable identity of a plan item for the submission checkpoint (its S3 keys or prefix).
+ */
+function planItemKey(source) {
+    if (source?.prefix !== undefined) return `prefix:${source.prefix}`;
+    if (Array.isArray(source?.keys)) return `keys:${source.keys.join('|')}`;
+    return 'single';
+}
 
 /**
  * Single: we don't list S3 on the client side — the executor will perform preRun based on spec.io.
+ * Retries follow spec.retry (overridable with opts.retry); priority / ttlSec override
+ * spec.priority / spec.ttlSec (AMQP message priority and expiration).
  */
-async function createSingle(client, manifest) {
+async function createSingle(client, manifest, { retry, priority, ttlSec } = {}) {
     const spec = manifest.spec ?? manifest;
     const workId = manifest?.metadata?.workId || client.workId
     const queue = spec.taskType;
@@ -21,13 +65,24 @@ async function createSingle(client, manifest) {
         source: { single: true }
     };
     const msg = buildTaskMsgFromPlan(spec, planItem, taskId);
+    const retryPolicy = resolveRetryPolicy(spec.retry, retry);
+    const delivery = resolveDelivery(spec, { priority, ttlSec });
 
     await client.amqp.checkQueueOrThrow(queue);
-    await client.rcl.lPush(`${taskId}_msg`, JSON.stringify(msg));
-    await client.rcl.sAdd(`work:${workId}:tasks`, taskId);
+    await client.rcl.lPush(taskMsgKey(taskId), JSON.stringify(msg));
+    await registerRetry(client, taskId, msg, queue, retryPolicy, { delivery });
+    await registerOutputs(client, taskId, spec, planItem);
+    await markQueued(client, taskId, 1, { expiresAt: expiryTime(delivery), timeoutSec: spec.timeoutSec });
 
-    const payload = JSON.stringify({ tasks: [ { id: taskId, message: null } ] });      // message for compatibility with HyperFlow Executor
-    await client.amqp.publish(payload, queue);
+    try {
+        await client.amqp.publish(buildTaskPayload(taskId), queue, publishOptions(delivery));
+    } catch (err) {
+        await rollbackTask(client, taskId);
+        throw err;
+    }
+    // Registered for monitoring only once published (acked by the broker in confirm mode)
+    await client.rcl.sAdd(workTasksKey(workId), taskId);
+    loggerOf(client).debug({ workId, taskId, queue }, 'Task submitted');
 
     return taskId;
 }
@@ -35,19 +90,76 @@ async function createSingle(client, manifest) {
 /**
  * Batch: grouping object/prefix + optional packing (maxPerTask).
  * Optional: ratePerSec (soft QPS limiter) — by default none, we go "burst + drain".
+ * Optional: retry — overrides spec.retry ({ maxAttempts, backoff, retryOn }); priority / ttlSec —
+ * override spec.priority / spec.ttlSec for every task of the batch.
+ * A taskId is added to work:<workId>:tasks only after its publish is confirmed; tasks the
+ * broker nacked (or that failed to publish) are rolled back and reported in `failed`.
+ * Every confirmed plan item is checkpointed in work:<workId>:submitted; with `resume: true`
+ * items already present there are skipped (counted in `skipped`).
+ * With `dryRun: true` nothing is submitted: returns previewBatch() output plus `dryRun: true`.
+ * With spec.io.output.overwrite = false (and a layout), items whose outputs already exist are
+ * not submitted (onExisting: 'skip', default) or the whole batch fails upfront with EOUTPUTEXISTS
+ * (onExisting: 'fail'); `items` then reports every item as planned / skipped / conflict.
+ * With `lint: true` a manifest with lintManifest() errors is refused upfront (ELINT, also for dryRun).
  */
-async function createBatch(client, manifest, { ratePerSec, stopOnError = false } = {}) {
+async function createBatch(client, manifest, {
+    ratePerSec,
+    stopOnError = false,
+    retry,
+    priority,
+    ttlSec,
+    resume = false,
+    dryRun = false,
+    onExisting = 'skip',
+    lint = false
+} = {}) {
     const spec = manifest.spec ?? manifest;
     const queue = spec.taskType;
     const workId = manifest?.metadata?.workId || client.workId
+    const log = loggerOf(client).child({ workId, queue });
+
+    if (lint) assertLintClean(manifest);
+
+    if (dryRun) {
+        return { ...(await previewBatch(manifest, { workId, logger: log })), dryRun: true };
+    }
+    const retryPolicy = resolveRetryPolicy(spec.retry, retry);
+    const delivery = resolveDelivery(spec, { priority, ttlSec });
+    const options = publishOptions(delivery);
 
     await client.amqp.checkQueueOrThrow(queue);
 
+    const checkOutputs = needsOutputCheck(spec);
+    const plan = checkOutputs && onExisting === 'fail'
+        ? await assertNoExistingOutputs(spec, { logger: log })
+        : planBatchChecked(spec, { logger: log });
+
     const results = [];
+    const items = [];
+    const failed = [];
+    const inFlight = new Set();
+    const checkpointKey = workCheckpointKey(workId);
+    let skipped = 0;
+    let firstError = null;
     let tokens = ratePerSec ? ratePerSec : null;
     let windowStart = Date.now();
 
-    for await (const planItem of planBatch(spec)) {
+    for await (const planItem of plan) {
+        const itemKey = planItemKey(planItem.source);
+        if (resume && await client.rcl.hExists(checkpointKey, itemKey)) {
+            skipped += 1;
+            continue;
+        }
+        if (planItem.status !== 'planned') {
+            items.push({
+                source: planItem.source,
+                status: planItem.status,
+                outputs: planItem.outputs,
+                existingOutputs: planItem.existingOutputs
+            });
+            continue;
+        }
+
         const taskId = generateTaskId(workId);
         const msg = buildTaskMsgFromPlan(spec, planItem, taskId);
         
@@ -66,24 +178,53 @@ async function createBatch(client, manifest, { ratePerSec, stopOnError = false }
             }
             tokens -= 1;
         }
-        await client.rcl.lPush(`${taskId}_msg`, JSON.stringify(msg));
-        await client.rcl.sAdd(`work:${workId}:tasks`, taskId);
+        await client.rcl.lPush(taskMsgKey(taskId), JSON.stringify(msg));
+        await registerRetry(client, taskId, msg, queue, retryPolicy, { delivery });
+        await registerOutputs(client, taskId, spec, planItem);
+        await markQueued(client, taskId, 1, { expiresAt: expiryTime(delivery), timeoutSec: spec.timeoutSec });
         
+        let confirmed;
         try {
-            const payload = JSON.stringify({ tasks: [ { id: taskId, message: null } ] });      // message for compatibility with HyperFlow Executor
-            await client.amqp.publishBurst(queue, payload);
-            results.push({ taskId, source: planItem.source });
+            ({ confirmed } = await client.amqp.publishBurst(queue, buildTaskPayload(taskId), options));
         } catch (err) {
-            // rollback Redis message so it doesn't remain "orphaned"
-            try { await client.rcl.del(`${taskId}_msg`); } catch (_e) {}
-            try { await client.rcl.sRem(`work:${workId}:tasks`, taskId); } catch {}
-            const rec = { taskId, source: planItem.source, error: err };
-            results.push(rec);
-            if (stopOnError) throw err;
+            confirmed = Promise.reject(err);
         }
+
+        // Settle in the background so the burst is not slowed down by broker round-trips
+        const settle = confirmed.then(
+            async () => {
+                await client.rcl.sAdd(workTasksKey(workId), taskId);
+                await client.rcl.hSet(checkpointKey, itemKey, taskId);
+                results.push({ taskId, source: planItem.source });
+                log.debug({ taskId }, 'Task submitted');
+                if (checkOutputs) {
+                    items.push({ source: planItem.source, status: 'planned', outputs: planItem.outputs, taskId });
+                }
+            },
+            async (err) => {
+                await rollbackTask(client, taskId);
+                failed.push({ taskId, source: planItem.source, error: err });
+                log.warn({ taskId, err }, 'Task publish failed (rolled back)');
+                if (!firstError) firstError = err;
+            }
+        ).finally(() => inFlight.delete(settle));
+        inFlight.add(settle);
+
+        if (stopOnError && firstError) break;
     }
 
-    return { workId, tasks: results.map(t => t.taskId) };
+    await Promise.all(inFlight);
+    log.info({ submitted: results.length, failed: failed.length, skipped }, 'Batch submitted');
+    if (stopOnError && firstError) throw firstError;
+
+    return {
+        workId,
+        tasks: results.map(t => t.taskId),
+        failed,
+        submitted: results.length,
+        skipped,
+        ...(checkOutputs ? { items } : {})
+    };
 }
 
 module.exports = { createSingle, createBatch };
@@ -0,0 +1,75 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    TaskClient,
+    createMemoryTransport,
+    createSingle,
+    takeTask,
+    completeTask,
+    runLocalWorker,
+    waitForTask
+} = require('..');
+
+function memoryClient(workId, queues = ['q']) {
+    const transport = createMemoryTransport({ queues });
+    return { transport, client: new TaskClient(workId, null, null, { transport, completion: { pollMs: 50 } }) };
+}
+
+const manifest = { spec: { taskType: 'q', executable: 'true' } };
+
+test('a task taken without acknowledging is delivered again when its worker dies', async () => {
+    const { transport, client } = memoryClient('ack-crash');
+    try {
+        const taskId = await createSingle(client, manifest);
+        const first = await takeTask(client, 'q', { manualAck: true });
+        assert.equal(first.taskId, taskId);
+        assert.equal(await takeTask(client, 'q'), null);
+
+        transport.amqp.recover();
+        const again = await takeTask(client, 'q', { manualAck: true });
+        assert.equal(again.taskId, taskId);
+        assert.equal(again.message.executable, 'true');
+
+        await completeTask(client, taskId, 0);
+        again.ack();
+        transport.amqp.recover();
+        assert.equal(await takeTask(client, 'q'), null);
+    } finally {
+        await client.close();
+    }
+});
+
+test('a redelivered task that already has an exit code is skipped', async () => {
+    const { transport, client } = memoryClient('ack-done');
+    try {
+        const taskId = await createSingle(client, manifest);
+        await takeTask(client, 'q', { manualAck: true });
+        await completeTask(client, taskId, 0);
+
+        transport.amqp.recover();
+        assert.equal(await takeTask(client, 'q'), null);
+        assert.equal(transport.amqp.unacked.length, 0);
+    } finally {
+        await client.close();
+    }
+});
+
+test('the local worker acknowledges a task once its exit code is written', async () => {
+    const { transport, client } = memoryClient('ack-local');
+    const worker = runLocalWorker(client, 'q', { concurrency: 1, pollMs: 20 });
+    try {
+        const taskId = await createSingle(client, { spec: { taskType: 'q', executable: 'sleep', args: ['0.3'] } });
+        while (transport.amqp.unacked.length === 0) await new Promise(r => setTimeout(r, 10));
+
+        const res = await waitForTask(client, taskId, { timeoutSec: 5 });
+        assert.equal(res.state, 'DONE');
+        await worker.stop();
+        assert.equal(transport.amqp.unacked.length, 0);
+    } finally {
+        await worker.stop();
+        await client.close();
+    }
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    TaskClient,
+    createMemoryTransport,
+    createSingle,
+    takeTask,
+    completeTask,
+    cancelTask,
+    cancelWork,
+    waitForTask,
+    getTaskStatus
+} = require('..');
+
+function memoryClient(workId, queues = ['q']) {
+    const transport = createMemoryTransport({ queues });
+    return { transport, client: new TaskClient(workId, null, null, { transport, completion: { pollMs: 50 } }) };
+}
+
+const manifest = { spec: { taskType: 'q', executable: 'true' } };
+
+test('cancelWork cancels queued tasks and leaves finished ones', async () => {
+    const { transport, client } = memoryClient('cancel-work');
+    try {
+        const finished = await createSingle(client, manifest);
+        const queued = await createSingle(client, manifest);
+        const t = await takeTask(client, 'q');
+        assert.equal(t.taskId, finished);
+        await completeTask(client, finished, 0);
+
+        const waiting = waitForTask(client, queued, { timeoutSec: 5 });
+        const res = await cancelWork(client, 'cancel-work');
+        assert.deepEqual(res.cancelled, [queued]);
+        assert.deepEqual(res.done, [finished]);
+
+        assert.equal((await waiting).state, 'CANCELLED');
+        assert.equal((await getTaskStatus(client, queued)).state, 'CANCELLED');
+        assert.equal(await client.rcl.exists(`${queued}_msg`), 0);
+
+        // Workers skip the cancelled message
+        assert.equal(transport.amqp.messages('q').length, 1);
+        assert.equal(await takeTask(client, 'q'), null);
+    } finally {
+        await client.close();
+    }
+});
+
+test('cancelTask leaves a task with an exit code untouched', async () => {
+    const { client } = memoryClient('cancel-done');
+    try {
+        const taskId = await createSingle(client, manifest);
+        await takeTask(client, 'q');
+        await completeTask(client, taskId, 3);
+
+        assert.deepEqual(await cancelTask(client, taskId), { taskId, state: 'DONE', removedMsg: false });
+        const status = await getTaskStatus(client, taskId);
+        assert.equal(status.state, 'FAILED');
+        assert.equal(status.exitCode, 3);
+    } finally {
+        await client.close();
+    }
+});
+
+test('cancelWork leaves cancelled and expired tasks as they are', async () => {
+    const { client } = memoryClient('cancel-settled');
+    try {
+        const cancelled = await createSingle(client, manifest);
+        const expired = await createSingle(client, manifest);
+        await cancelTask(client, cancelled);
+        await client.rcl.hSet(`${expired}_status`, { state: 'EXPIRED', finishedAt: '1' });
+        const before = await getTaskStatus(client, cancelled);
+
+        const res = await cancelWork(client, 'cancel-settled');
+        assert.deepEqual(res.cancelled, [cancelled]);
+        assert.deepEqual(res.expired, [expired]);
+        assert.deepEqual(res.done, []);
+
+        assert.deepEqual(await getTaskStatus(client, cancelled), before);
+        const status = await getTaskStatus(client, expired);
+        assert.equal(status.state, 'EXPIRED');
+        assert.equal(status.finishedAt, 1);
+        assert.equal(await client.rcl.exists(`${expired}_cancel`), 0);
+    } finally {
+        await client.close();
+    }
+});
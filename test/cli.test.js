@@ -0,0 +1,80 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const BIN = path.join(__dirname, '..', 'bin', 'wpok.js');
+
+/** Run the CLI: { code, stdout, stderr }. */
+function wpok(args, opts = {}) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [BIN, ...args], { timeout: 30000, ...opts }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+function writeManifest(dir, name, text) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+test('submit --local --json prints one document with the submit result and the report', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wpok-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dir, 'in'));
+    for (const name of ['a', 'b', 'bad']) fs.writeFileSync(path.join(dir, 'in', `${name}.txt`), name);
+
+    const file = writeManifest(dir, 'task.yaml', `
+apiVersion: v1
+kind: Task
+metadata: { name: cli-local, workId: cli-local }
+spec:
+  taskType: local
+  executable: sh
+  args: ["-c", "test {in.stem} != bad"]
+  io:
+    inputs: [{ type: file, url: "file://${dir}/in/" }]
+    batch: { enabled: true }
+`);
+    const { code, stdout } = await wpok(['submit', file, '--local', '--json']);
+    assert.equal(code, 1);
+
+    const out = JSON.parse(stdout);
+    assert.deepEqual(Object.keys(out), ['submit', 'report']);
+    assert.equal(out.submit.workId, 'cli-local');
+    assert.equal(out.submit.submitted, 3);
+    assert.equal(out.report.state, 'DONE');
+    assert.deepEqual(out.report.results.map(r => r.code).sort(), [0, 0, 1]);
+});
+
+test('submit --dry-run --json needs no Redis or RabbitMQ', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wpok-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dir, 'in'));
+    fs.writeFileSync(path.join(dir, 'in', 'a.txt'), 'a');
+
+    const file = writeManifest(dir, 'task.yaml', `
+apiVersion: v1
+kind: Task
+metadata: { name: dry-run }
+spec:
+  taskType: q
+  executable: cat
+  args: ["{in.key}"]
+  io:
+    inputs: [{ type: file, url: "file://${dir}/in/" }]
+    batch: { enabled: true }
+`);
+    const { code, stdout } = await wpok(['submit', file, '--dry-run', '--json',
+        '--redis', 'redis://127.0.0.1:1', '--amqp', 'amqp://127.0.0.1:1']);
+    assert.equal(code, 0);
+    const out = JSON.parse(stdout);
+    assert.equal(out.dryRun, true);
+    assert.equal(out.summary.tasks, 1);
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    TaskClient,
+    createMemoryTransport,
+    createSingle,
+    takeTask,
+    completeTask,
+    waitForMany,
+    getTaskStatus
+} = require('..');
+const { markExpired } = require('../submit/status');
+
+test('a message nobody took expires; a taken one does not', { timeout: 30000 }, async () => {
+    const transport = createMemoryTransport({ queues: ['q'] });
+    const client = new TaskClient('expiry', null, null, { transport, completion: { pollMs: 50 } });
+    try {
+        const manifest = { spec: { taskType: 'q', executable: 'true' } };
+        const taken = await createSingle(client, manifest, { ttlSec: 0.2 });
+        const untaken = await createSingle(client, manifest, { ttlSec: 0.2 });
+
+        // A worker that does not record RUNNING: only its message is gone
+        await transport.amqp.get('q');
+        await client.rcl.del(`${taken}_msg`);
+        const finishing = new Promise(resolve => setTimeout(resolve, 6000))
+            .then(() => completeTask(client, taken, 0));
+
+        const res = await waitForMany(client, [taken, untaken], { timeoutSec: 15 });
+        await finishing;
+        assert.equal(res.state, 'DONE');
+        assert.deepEqual(res.expired, [untaken]);
+        assert.deepEqual(res.done, [{ taskId: taken, code: 0 }]);
+        assert.equal((await getTaskStatus(client, untaken)).state, 'EXPIRED');
+        assert.equal(await takeTask(client, 'q'), null);
+    } finally {
+        await client.close();
+    }
+});
+
+test('a task taken while being marked expired stays with its worker', async () => {
+    const transport = createMemoryTransport({ queues: ['q'] });
+    const client = new TaskClient('expiry-race', null, null, { transport });
+    try {
+        const taskId = await createSingle(client, { spec: { taskType: 'q', executable: 'true' } }, { ttlSec: 60 });
+
+        // The worker takes the task between markExpired's checks and its update
+        const executeIsolated = client.rcl.executeIsolated.bind(client.rcl);
+        client.rcl.executeIsolated = fn => executeIsolated((rcl) => {
+            const multi = rcl.multi.bind(rcl);
+            rcl.multi = () => {
+                const m = multi();
+                const exec = m.exec.bind(m);
+                m.exec = async () => {
+                    await takeTask(client, 'q');
+                    return exec();
+                };
+                return m;
+            };
+            return fn(rcl);
+        });
+
+        assert.equal(await markExpired(client, taskId), false);
+        assert.equal((await getTaskStatus(client, taskId)).state, 'RUNNING');
+        assert.equal(await client.rcl.sIsMember('wf:expiry-race:tasksPendingCompletionHandling', taskId), false);
+    } finally {
+        await client.close();
+    }
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { lintManifest } = require('..');
+
+function taskManifest(args, batch) {
+    return {
+        apiVersion: 'v1',
+        kind: 'Task',
+        metadata: { name: 'lint' },
+        spec: {
+            taskType: 'q',
+            executable: 'cat',
+            args,
+            io: { inputs: [{ type: 's3', url: 's3://bucket/data/' }], batch: { enabled: true, ...batch } }
+        }
+    };
+}
+
+function issue(res, code) {
+    return [...res.errors, ...res.warnings].find(i => i.code === code);
+}
+
+test('a bare {in} is ambiguous when packs hold several objects', () => {
+    const res = lintManifest(taskManifest(['{in}'], { maxPerTask: 4 }));
+    assert.equal(res.valid, false);
+    assert.equal(issue(res, 'ARGS_AMBIGUOUS_OBJECT').message,
+        "{in} needs exactly one 'in' object, but a task holds up to 4 (use {in0}.. or {in*})");
+});
+
+test('a bare {in} is ambiguous when packs are bounded by bytes only', () => {
+    const res = lintManifest(taskManifest(['{in}'], { maxBytesPerTask: 1000000 }));
+    assert.equal(res.valid, false);
+    assert.equal(issue(res, 'ARGS_AMBIGUOUS_OBJECT').message,
+        "{in} needs exactly one 'in' object, but tasks may hold several objects (use {in0}.. or {in*})");
+});
+
+test('{in} with one object per task is fine', () => {
+    const res = lintManifest(taskManifest(['{in}'], {}));
+    assert.deepEqual(res.errors, []);
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TaskClient, createMemoryTransport, createSingle } = require('..');
+
+/** Shaped like a winston.createLogger() logger (npm levels): level methods take (message, meta). */
+function winstonStub() {
+    const entries = [];
+    const logger = {
+        levels: { error: 0, warn: 1, info: 2, http: 3, verbose: 4, debug: 5, silly: 6 },
+        transports: [],
+        log(level, message, meta) {
+            entries.push({ level, message, meta });
+        },
+        child() {
+            return logger;
+        }
+    };
+    for (const level of Object.keys(logger.levels)) {
+        logger[level] = (message, meta) => logger.log(level, message, meta);
+    }
+    return { logger, entries };
+}
+
+test('winston loggers get (message, meta) calls with the bindings', async () => {
+    const { logger, entries } = winstonStub();
+    const transport = createMemoryTransport({ queues: ['q'] });
+    const client = new TaskClient('logs', null, null, { transport, logger });
+    try {
+        const taskId = await createSingle(client, { spec: { taskType: 'q', executable: 'true' } });
+        assert.deepEqual(entries.find(e => e.message === 'Task submitted'),
+            { level: 'debug', message: 'Task submitted', meta: { workId: 'logs', taskId, queue: 'q' } });
+
+        client.logger.child({ component: 'test' }).trace({ n: 1 }, 'Traced');
+        client.logger.fatal('Fatal');
+        assert.deepEqual(entries.slice(-2), [
+            { level: 'silly', message: 'Traced', meta: { workId: 'logs', component: 'test', n: 1 } },
+            { level: 'error', message: 'Fatal', meta: { workId: 'logs' } }
+        ]);
+    } finally {
+        await client.close();
+    }
+});
+
+test('loggers without child() get the bindings merged into their fields', () => {
+    const entries = [];
+    const logger = { warn: (fields, message) => entries.push({ fields, message }) };
+    const transport = createMemoryTransport();
+    const client = new TaskClient('plain', null, null, { transport, logger });
+
+    client.logger.child({ component: 'amqp' }).warn({ queue: 'q' }, 'Connection closed');
+    client.logger.info({}, 'Dropped: no info method');
+    assert.deepEqual(entries, [{ fields: { workId: 'plain', component: 'amqp', queue: 'q' }, message: 'Connection closed' }]);
+    return client.close();
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    TaskClient,
+    createMemoryTransport,
+    createSingle,
+    takeTask,
+    completeTask,
+    watchWork
+} = require('..');
+
+test('deadlines count from the start of a task, not its time in the queue', async () => {
+    const transport = createMemoryTransport({ queues: ['q'] });
+    const client = new TaskClient('overdue', null, null, { transport, completion: { pollMs: 50 } });
+    try {
+        const manifest = { spec: { taskType: 'q', executable: 'true', timeoutSec: 0.1 } };
+        const running = await createSingle(client, manifest);
+        const queued = await createSingle(client, manifest);
+        await takeTask(client, 'q');
+
+        const overdue = [];
+        const watching = watchWork(client, 'overdue', {
+            timeoutSec: 5,
+            overdue: { checkSec: 0.05 },
+            onEvent: (ev) => { if (ev.type === 'task:overdue') overdue.push(ev); }
+        });
+        await new Promise(resolve => setTimeout(resolve, 400));
+        await completeTask(client, running, 0);
+        await takeTask(client, 'q');
+        await completeTask(client, queued, 0);
+
+        assert.equal((await watching).state, 'DONE');
+        assert.deepEqual(overdue.map(ev => [ev.taskId, ev.reason]), [[running, 'deadline']]);
+    } finally {
+        await client.close();
+    }
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    TaskClient,
+    createMemoryTransport,
+    createSingle,
+    takeTask,
+    completeTask,
+    summarizeWork,
+    exportReport
+} = require('..');
+
+test('reports carry the input URLs of single tasks as their source', async () => {
+    const transport = createMemoryTransport({ queues: ['q'] });
+    const client = new TaskClient('report', null, null, { transport });
+    try {
+        const taskId = await createSingle(client, {
+            spec: {
+                taskType: 'q',
+                executable: 'gdalinfo',
+                args: ['{in}'],
+                io: { inputs: [{ type: 's3', url: 's3://bucket/data/x.tif' }] }
+            }
+        });
+        await takeTask(client, 'q');
+        await completeTask(client, taskId, 1, { stderr: 'broken tiff' });
+
+        const summary = await summarizeWork(client, 'report');
+        assert.deepEqual(summary.failures, [{
+            taskId, code: 1, attempts: 1, source: { inputs: ['s3://bucket/data/x.tif'] }, stderr: 'broken tiff'
+        }]);
+        assert.match(exportReport(summary, 'csv'), /,FAILED,1,1,test-worker,s3:\/\/bucket\/data\/x\.tif,/);
+        assert.match(exportReport(summary, 'junit'), /<testcase classname="report" name="s3:\/\/bucket\/data\/x\.tif"/);
+    } finally {
+        await client.close();
+    }
+});
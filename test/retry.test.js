@@ -0,0 +1,95 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    TaskClient,
+    createMemoryTransport,
+    createSingle,
+    takeTask,
+    completeTask,
+    waitForTask,
+    watchWork,
+    watchWorkStream,
+    getTaskAttempts
+} = require('..');
+
+function memoryClient(workId, queues = ['q']) {
+    const transport = createMemoryTransport({ queues });
+    return { transport, client: new TaskClient(workId, null, null, { transport, completion: { pollMs: 50 } }) };
+}
+
+const manifest = { spec: { taskType: 'q', executable: 'true', retry: { maxAttempts: 3 } } };
+
+test('a failed attempt is retried under a new task id linked to the first one', async () => {
+    const { client } = memoryClient('retry-ok');
+    try {
+        const taskId = await createSingle(client, manifest);
+        const waiting = waitForTask(client, taskId, { timeoutSec: 5 });
+
+        const first = await takeTask(client, 'q');
+        assert.equal(first.taskId, taskId);
+        await completeTask(client, first.taskId, 1);
+
+        let second = null;
+        while (!second) second = await takeTask(client, 'q');
+        assert.notEqual(second.taskId, taskId);
+        await completeTask(client, second.taskId, 0);
+
+        const res = await waiting;
+        assert.equal(res.state, 'DONE');
+        assert.equal(res.code, 0);
+        assert.equal(res.attempts, 2);
+
+        const attempts = await getTaskAttempts(client, taskId);
+        assert.deepEqual(attempts.map(a => a.taskId), [taskId, second.taskId]);
+    } finally {
+        await client.close();
+    }
+});
+
+test('a retry that cannot be published settles the task with its error', async () => {
+    const { transport, client } = memoryClient('retry-noqueue');
+    try {
+        const taskId = await createSingle(client, manifest);
+        const watching = watchWork(client, 'retry-noqueue', { timeoutSec: 5 });
+
+        const t = await takeTask(client, 'q');
+        transport.amqp.queues.delete('q');
+        await completeTask(client, t.taskId, 2);
+
+        const res = await watching;
+        assert.equal(res.state, 'DONE');
+        assert.equal(res.results.length, 1);
+        assert.equal(res.results[0].taskId, taskId);
+        assert.equal(res.results[0].code, 2);
+        assert.match(res.results[0].error, /ENOQUEUE/);
+    } finally {
+        await client.close();
+    }
+});
+
+test('ending a watch drops the waiter of the retried attempt', async () => {
+    const { client } = memoryClient('retry-waiters');
+    try {
+        const taskId = await createSingle(client, manifest);
+        const t = await takeTask(client, 'q');
+        await completeTask(client, t.taskId, 1);
+
+        const res = await watchWork(client, 'retry-waiters', { timeoutSec: 0.3 });
+        assert.equal(res.state, 'TIMEOUT');
+        const [, next] = await getTaskAttempts(client, taskId);
+        assert.ok(next, 'the task was retried');
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(client.redisConnector.hasWaiters(), false);
+
+        for await (const ev of watchWorkStream(client, 'retry-waiters', { timeoutSec: 0.3 })) {
+            if (ev.type === 'timeout') break;
+        }
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(client.redisConnector.hasWaiters(), false);
+    } finally {
+        await client.close();
+    }
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { getStorageAdapter } = require('..');
+
+async function keys(listing) {
+    const out = [];
+    for await (const o of listing) if (o.key) out.push(o.key);
+    return out;
+}
+
+test('file:// include / exclude globs match paths relative to the input directory', async (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'wpok-file-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    for (const f of ['data/a.csv', 'data/b.txt', 'data/sub/c.csv', 'other/d.csv']) {
+        fs.mkdirSync(path.dirname(path.join(root, f)), { recursive: true });
+        fs.writeFileSync(path.join(root, f), f);
+    }
+
+    const file = getStorageAdapter('file');
+    const { prefix } = file.parseUrl(`file://${root}/`);
+    const list = (include, exclude = []) => keys(file.listObjects({ prefix, include, exclude }));
+
+    assert.deepEqual(await list(['data/*.csv']), [path.join(root, 'data/a.csv')]);
+    assert.deepEqual(await list(['**/*.csv'], ['other/**']),
+        [path.join(root, 'data/a.csv'), path.join(root, 'data/sub/c.csv')]);
+    assert.deepEqual(await list(['*.csv']), []);
+    assert.deepEqual(await keys(file.listObjects({ prefix: path.join(root, 'data/b.txt'), include: ['*.txt'] })),
+        [path.join(root, 'data/b.txt')]);
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Redis key conventions shared by the client and the workers.
+ */
+
+function taskMsgKey(taskId) {
+    return `${taskId}_msg`;
+}
+
+/** Set holding the exit code written by the worker. */
+function taskResultKey(taskId) {
+    return taskId;
+}
+
+/** Retry metadata of one attempt (root, attempt, policy, message, next attempt id). */
+function taskRetryKey(taskId) {
+    return `${taskId}_retry`;
+}
+
+/** Output description stored at submit time: { output: spec.io.output, expected: [{ bucket, key }] | null }. */
+function taskOutputsKey(taskId) {
+    return `${taskId}_outputs`;
+}
+
+/**
+ * Result reported by the worker (hash): exitCode, result (JSON), stdout / stderr (tails),
+ * outputs (JSON array of produced keys or { bucket, key } objects).
+ */
+function taskReportKey(taskId) {
+    return `${taskId}_result`;
+}
+
+/**
+ * Lifecycle status of one attempt (hash): state (QUEUED|RUNNING|DONE|FAILED|CANCELLED|EXPIRED),
+ * submittedAt / startedAt / finishedAt / expiresAt (epoch ms), attempt, worker, exitCode.
+ */
+function taskStatusKey(taskId) {
+    return `${taskId}_status`;
+}
+
+/** Cancellation marker for a single task (workers check it before/while running). */
+function taskCancelKey(taskId) {
+    return `${taskId}_cancel`;
+}
+
+function workTasksKey(workId) {
+    return `work:${workId}:tasks`;
+}
+
+/** Submission checkpoint of a batch: plan item key (S3 keys / prefix) → taskId. */
+function workCheckpointKey(workId) {
+    return `work:${workId}:submitted`;
+}
+
+/** Cancellation marker for a whole work. */
+function workCancelKey(workId) {
+    return `work:${workId}:cancel`;
+}
+
+/** Hash of workflow step states (step name → SUBMITTED|DONE|FAILED|SKIPPED|CANCELLED). */
+function workflowStepsKey(workId) {
+    return `workflow:${workId}:steps`;
+}
+
+function completionQueueKey(workId) {
+    return `wf:${workId}:tasksPendingCompletionHandling`;
+}
+
+/** Pub/sub channel announcing a new member of the completion queue (message = taskId). */
+function completionChannelKey(workId) {
+    return `wf:${workId}:completed`;
+}
+
+/** Pub/sub channel announcing a change of a task status hash (message = taskId). */
+function statusChannelKey(workId) {
+    return `wf:${workId}:status`;
+}
+
+module.exports = {
+    taskMsgKey,
+    taskResultKey,
+    taskCancelKey,
+    taskRetryKey,
+    taskOutputsKey,
+    taskReportKey,
+    taskStatusKey,
+    workTasksKey,
+    workCheckpointKey,
+    workCancelKey,
+    workflowStepsKey,
+    completionQueueKey,
+    completionChannelKey,
+    statusChannelKey
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Logging of the library. A logger has pino-style level methods taking (fields, message), e.g.
+ * logger.debug({ taskId, queue }, 'Task published'), and child(bindings) for fields shared by a
+ * component (workId, component). Errors go in the `err` field. The default logger is silent.
+ */
+
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+const noop = () => {};
+
+/** Discards everything (the default). */
+const silentLogger = {
+    ...Object.fromEntries(LEVELS.map(level => [level, noop])),
+    child() {
+        return silentLogger;
+    }
+};
+
+/** Levels winston's npm levels lack, and what they are logged as. */
+const WINSTON_LEVELS = { trace: 'silly', fatal: 'error' };
+
+/** winston loggers: log(level, message, meta), with a `levels` map and transports. */
+function isWinston(logger) {
+    return typeof logger.log === 'function' && logger.levels !== null && typeof logger.levels === 'object'
+        && 'transports' in logger;
+}
+
+/**
+ * Adapt a user logger: missing level methods are ignored, and loggers without child() (console,
+ * a few hand-written functions) get one that merges the bindings into every call's fields.
+ * pino / bunyan loggers are used as they are. winston loggers get log(level, message, fields)
+ * calls (trace / fatal go to silly / error, levels it doesn't have are dropped).
+ */
+function toLogger(logger) {
+    if (!logger) return silentLogger;
+    if (isWinston(logger)) return withBindings(winstonWriter(logger), {});
+    if (LEVELS.every(level => typeof logger[level] === 'function') && typeof logger.child === 'function') {
+        return logger;
+    }
+    return withBindings(methodWriter(logger), {});
+}
+
+/** (level, fields, message) → target[level](fields, message) */
+function methodWriter(target) {
+    const fns = Object.fromEntries(LEVELS.map(level => [
+        level,
+        typeof target[level] === 'function' ? target[level].bind(target) : noop
+    ]));
+    return (level, fields, message) => fns[level](fields, message);
+}
+
+/** (level, fields, message) → target.log(level, message, fields) */
+function winstonWriter(target) {
+    const names = Object.fromEntries(LEVELS.map((level) => {
+        const name = target.levels[level] !== undefined ? level : WINSTON_LEVELS[level];
+        return [level, target.levels[name] !== undefined ? name : null];
+    }));
+    return (level, fields, message) => {
+        if (names[level]) target.log(names[level], message || '', fields);
+    };
+}
+
+function withBindings(write, bindings) {
+    const log = {};
+    for (const level of LEVELS) {
+        log[level] = (fields, message) => (typeof fields === 'string'
+            ? write(level, { ...bindings }, fields)
+            : write(level, { ...bindings, ...fields }, message));
+    }
+    log.child = (more) => withBindings(write, { ...bindings, ...more });
+    return log;
+}
+
+/** Logger of a client (anything with a `logger`), silent when it has none. */
+function loggerOf(client) {
+    return client?.logger || silentLogger;
+}
+
+function formatValue(value) {
+    if (value instanceof Error) return value.message;
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Line-per-entry logger writing to a stream (stderr by default), from `level` up:
+ *   2026-01-02T10:00:00.000Z WARN  [amqp] Connection closed workId=… queue=…
+ */
+function streamLogger({ level = 'info', stream = process.stderr } = {}) {
+    const min = LEVELS.indexOf(level);
+    if (min < 0) throw new Error(`ELOGLEVEL: unknown log level '${level}' (use one of: ${LEVELS.join(', ')})`);
+
+    const make = (bindings) => {
+        const log = {};
+        LEVELS.forEach((name, i) => {
+            log[name] = i < min ? noop : (fields, message) => {
+                const all = typeof fields === 'string'
+                    ? { ...bindings }
+                    : { ...bindings, ...fields };
+                const text = typeof fields === 'string' ? fields : message;
+                const { component, ...rest } = all;
+                const extra = Object.entries(rest)
+                    .filter(([, v]) => v !== undefined)
+                    .map(([k, v]) => `${k}=${formatValue(v)}`)
+                    .join(' ');
+                stream.write(`${new Date().toISOString()} ${name.toUpperCase().padEnd(5)} `
+                    + `${component ? `[${component}] ` : ''}${text || ''}${extra ? ` ${extra}` : ''}\n`);
+            };
+        });
+        log.child = (more) => make({ ...bindings, ...more });
+        return log;
+    };
+    return make({});
+}
+
+module.exports = { LEVELS, silentLogger, toLogger, loggerOf, streamLogger };
@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * Reading task outcomes (exit code / cancel marker / queue expiry) from Redis.
+ */
+
+const { taskMsgKey, taskResultKey, taskCancelKey, taskStatusKey } = require('../utils/keys');
+
+/**
+ * Delay past `expiresAt` before a task still QUEUED counts as expired: leaves time
+ * for a worker that got the message just before its TTL to take it.
+ */
+const EXPIRY_GRACE_MS = 5000;
+
+/**
+ * Still QUEUED past expiresAt (+ grace) and its <taskId>_msg never taken by a worker.
+ * The message check covers workers that do not record RUNNING in the status hash.
+ */
+function isExpired(state, expiresAt, msgExists, now = Date.now()) {
+    if (state === 'EXPIRED') return true;
+    const at = Number.parseInt(expiresAt, 10);
+    return state === 'QUEUED' && Number(msgExists) > 0 && Number.isFinite(at) && now >= at + EXPIRY_GRACE_MS;
+}
+
+/**
+ * Map raw Redis replies (exit code member, cancel marker existence, status state / expiresAt,
+ * task message existence) to an outcome. Cancellation wins over a late exit code, which wins
+ * over expiry. Returns { state, code? } or null when still pending.
+ */
+function toOutcome(codeReply, cancelReply, [state, expiresAt] = [], msgReply = 0) {
+    if (Number(cancelReply) > 0) return { state: 'CANCELLED' };
+    const code = codeReply == null ? NaN : Number.parseInt(String(codeReply), 10);
+    if (Number.isFinite(code)) return { state: 'DONE', code };
+    return isExpired(state, expiresAt, msgReply) ? { state: 'EXPIRED' } : null;
+}
+
+/**
+ * Pipelined peek of outcomes for many tasks (non-consuming).
+ */
+async function peekOutcomes(client, taskIds) {
+    if (taskIds.length === 0) return [];
+    const multi = client.rcl.multi();
+    for (const id of taskIds) {
+        multi.sRandMember(taskResultKey(id));
+        multi.exists(taskCancelKey(id));
+        multi.hmGet(taskStatusKey(id), ['state', 'expiresAt']);
+        multi.exists(taskMsgKey(id));
+    }
+    const replies = await multi.exec();
+    return taskIds.map((_id, i) => toOutcome(replies?.[4 * i], replies?.[4 * i + 1], replies?.[4 * i + 2] || [], replies?.[4 * i + 3]));
+}
+
+module.exports = { EXPIRY_GRACE_MS, toOutcome, peekOutcomes };
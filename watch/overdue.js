@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Overdue detection for the work watchers: tasks past their deadline (spec.timeoutSec) and
+ * stragglers, running much longer than the median duration of the work's finished tasks.
+ */
+
+const { readStatuses } = require('./status');
+const { cancelTask } = require('../submit/cancel');
+const { submitCopy, adoptCopy } = require('../submit/retry');
+const { loggerOf } = require('../utils/logger');
+
+/**
+ * Normalize the `overdue` option of the watchers (true = defaults); null when disabled.
+ * { factor = 3, minSamples = 5, checkSec = 5, speculate = false }
+ */
+function overdueOptions(opt) {
+    if (!opt) return null;
+    const o = opt === true ? {} : opt;
+    return {
+        factor:     Number.isFinite(o.factor) && o.factor > 1 ? o.factor : 3,
+        minSamples: Number.isInteger(o.minSamples) && o.minSamples > 0 ? o.minSamples : 5,
+        checkMs:    (Number.isFinite(o.checkSec) && o.checkSec > 0 ? o.checkSec : 5) * 1000,
+        speculate:  !!o.speculate
+    };
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Why an unfinished task is overdue at `now`: { reason: 'deadline'|'straggler', runningMs, limitMs },
+ * or null. Both need startedAt (time waiting in the queue does not count); stragglers also need
+ * a median duration.
+ */
+function overdueReason(status, medianMs, factor, now) {
+    if (status.startedAt == null) return null;
+    if (status.timeoutSec != null) {
+        const limitMs = status.timeoutSec * 1000;
+        if (now - status.startedAt > limitMs) return { reason: 'deadline', runningMs: now - status.startedAt, limitMs };
+    }
+    if (medianMs != null) {
+        const limitMs = Math.round(factor * medianMs);
+        if (now - status.startedAt > limitMs) return { reason: 'straggler', runningMs: now - status.startedAt, limitMs };
+    }
+    return null;
+}
+
+/**
+ * Check the watched tasks every checkMs and report each overdue one once:
+ *   onOverdue({ type: 'task:overdue', taskId, attemptTaskId?, reason, runningMs, limitMs, copyTaskId? })
+ * With `speculate`, a copy of the overdue attempt is submitted first (copyTaskId, see submitCopy).
+ * Durations of settled tasks (finishedAt - startedAt) feed the straggler median.
+ */
+function trackOverdue(client, opts, onOverdue) {
+    const watched  = new Set();
+    const samples  = [];      // settled taskIds whose duration is not read yet
+    const durations = [];
+    let checking   = false;
+    let closed     = false;
+
+    const check = async () => {
+        if (samples.length > 0) {
+            for (const s of await readStatuses(client, samples.splice(0))) {
+                if (s.state === 'DONE' && s.startedAt != null && s.finishedAt != null) {
+                    durations.push(s.finishedAt - s.startedAt);
+                }
+            }
+        }
+        if (watched.size === 0) return;
+
+        const medianMs = durations.length >= opts.minSamples ? median(durations) : null;
+        const now = Date.now();
+        for (const s of await readStatuses(client, [...watched])) {
+            if (closed || !watched.has(s.taskId)) continue;
+            if (s.state !== 'QUEUED' && s.state !== 'RUNNING') continue;
+            const why = overdueReason(s, medianMs, opts.factor, now);
+            if (!why) continue;
+
+            watched.delete(s.taskId);
+            const ev = { type: 'task:overdue', taskId: s.taskId, ...why };
+            if (s.attemptTaskId) ev.attemptTaskId = s.attemptTaskId;
+            if (opts.speculate) {
+                const copyTaskId = await submitCopy(client, s.attemptTaskId || s.taskId)
+                    .catch((e) => { loggerOf(client).error({ taskId: s.taskId, err: e }, 'Unable to submit speculative copy'); return null; });
+                if (copyTaskId) ev.copyTaskId = copyTaskId;
+            }
+            if (!closed) onOverdue(ev);
+        }
+    };
+
+    const timer = setInterval(() => {
+        if (checking) return;
+        checking = true;
+        check()
+            .catch(e => loggerOf(client).error({ err: e }, 'Overdue check failed'))
+            .finally(() => { checking = false; });
+    }, opts.checkMs);
+
+    return {
+        add(taskIds) {
+            for (const id of taskIds) watched.add(id);
+        },
+        settle(taskId) {
+            watched.delete(taskId);
+            samples.push(taskId);
+        },
+        close() {
+            closed = true;
+            clearInterval(timer);
+        }
+    };
+}
+
+/**
+ * A task with a speculative copy settled: `copyWon` → the copy becomes the next attempt of the
+ * overdue one (adoptCopy); otherwise the copy is cancelled. The watcher drops the losing waiter.
+ */
+async function settleCopy(client, { attemptTaskId, copyTaskId }, copyWon) {
+    if (copyWon) await adoptCopy(client, attemptTaskId, copyTaskId);
+    else await cancelTask(client, copyTaskId);
+}
+
+module.exports = { overdueOptions, trackOverdue, settleCopy };
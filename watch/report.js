@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * Work summaries and report exporters (JSON, CSV, JUnit XML).
+ */
+
+const { listTasks } = require('./status');
+const { taskReportKey, taskRetryKey, workCheckpointKey } = require('../utils/keys');
+const { formatStorageUrl } = require('../storage');
+
+/**
+ * Inverse of planItemKey() (submit/submit.js): checkpoint item key → plan item source.
+ */
+function parseItemKey(itemKey) {
+    if (itemKey.startsWith('prefix:')) return { prefix: itemKey.slice('prefix:'.length) };
+    if (itemKey.startsWith('keys:')) return { keys: itemKey.slice('keys:'.length).split('|') };
+    return null;
+}
+
+function inputUrl(input) {
+    if (input?.url) return input.url;
+    if (!input?.bucket) return null;
+    try {
+        return formatStorageUrl(input.type || 's3', input.bucket, input.key || input.prefix || '');
+    } catch (_e) {
+        return null;
+    }
+}
+
+/**
+ * Source of a task without a checkpointed plan item (createSingle): the input URLs of its
+ * message, kept in <taskId>_retry. { inputs: [url] } or null.
+ */
+function messageSource(rawMsg) {
+    let msg;
+    try {
+        msg = JSON.parse(rawMsg);
+    } catch (_e) {
+        return null;
+    }
+    const urls = (Array.isArray(msg?.io?.inputs) ? msg.io.inputs : []).map(inputUrl).filter(Boolean);
+    return urls.length > 0 ? { inputs: urls } : null;
+}
+
+function durationStats(values) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const pick = q => sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+    const totalMs = sorted.reduce((sum, v) => sum + v, 0);
+    return {
+        count: sorted.length,
+        minMs: sorted[0],
+        maxMs: sorted[sorted.length - 1],
+        meanMs: Math.round(totalMs / sorted.length),
+        p50Ms: pick(0.5),
+        p95Ms: pick(0.95),
+        totalMs
+    };
+}
+
+/**
+ * Summary of a work from its task statuses (see getTaskStatus).
+ * `successRate` is computed over finished tasks (with an exit code); `failures` carry the
+ * source (plan item keys / prefix for createBatch tasks, input URLs for createSingle ones) and
+ * the worker's stderr tail.
+ * `durations` (finishedAt - startedAt) and `wall` only appear when workers record timestamps.
+ * Returns {
+ *   workId, total, finished, succeeded, failed, cancelled, expired, pending, successRate: number|null,
+ *   byCode: { [code]: count }, failures: [{ taskId, attemptTaskId?, code, attempts, source, stderr }],
+ *   durations?: { count, minMs, maxMs, meanMs, p50Ms, p95Ms, totalMs }, wall?: { startedAt, finishedAt, ms },
+ *   tasks: [{ taskId, attemptTaskId?, state, code, attempts, worker, source, submittedAt, startedAt, finishedAt, durationMs }]
+ * }
+ */
+async function summarizeWork(client, workId) {
+    await client.ready();
+
+    const [statuses, checkpoint] = await Promise.all([
+        listTasks(client, workId),
+        client.rcl.hGetAll(workCheckpointKey(workId))
+    ]);
+    const sources = new Map(Object.entries(checkpoint || {}).map(([itemKey, taskId]) => [taskId, parseItemKey(itemKey)]));
+
+    const unplanned = statuses.map(s => s.taskId).filter(id => !sources.has(id));
+    if (unplanned.length > 0) {
+        const multi = client.rcl.multi();
+        for (const id of unplanned) multi.hGet(taskRetryKey(id), 'msg');
+        const msgs = await multi.exec();
+        unplanned.forEach((id, i) => sources.set(id, msgs?.[i] ? messageSource(msgs[i]) : null));
+    }
+
+    const tasks = statuses.map((s) => {
+        const durationMs = s.startedAt != null && s.finishedAt != null ? s.finishedAt - s.startedAt : null;
+        const task = {
+            taskId: s.taskId,
+            state: s.state,
+            code: s.exitCode,
+            attempts: s.attempt,
+            worker: s.worker,
+            source: sources.get(s.taskId) || null,
+            submittedAt: s.submittedAt,
+            startedAt: s.startedAt,
+            finishedAt: s.finishedAt,
+            durationMs
+        };
+        if (s.attemptTaskId) task.attemptTaskId = s.attemptTaskId;
+        return task;
+    });
+
+    const byCode = {};
+    let succeeded = 0;
+    let failed = 0;
+    let cancelled = 0;
+    let expired = 0;
+    for (const t of tasks) {
+        if (t.state === 'CANCELLED') cancelled += 1;
+        if (t.state === 'EXPIRED') expired += 1;
+        if (t.state !== 'DONE' && t.state !== 'FAILED') continue;
+        byCode[t.code] = (byCode[t.code] || 0) + 1;
+        if (t.code === 0) succeeded += 1;
+        else failed += 1;
+    }
+
+    const failedTasks = tasks.filter(t => t.state === 'FAILED');
+    let stderrs = [];
+    if (failedTasks.length > 0) {
+        const multi = client.rcl.multi();
+        for (const t of failedTasks) multi.hGet(taskReportKey(t.attemptTaskId || t.taskId), 'stderr');
+        stderrs = await multi.exec();
+    }
+    const failures = failedTasks.map((t, i) => {
+        const f = { taskId: t.taskId, code: t.code, attempts: t.attempts, source: t.source, stderr: stderrs?.[i] ?? null };
+        if (t.attemptTaskId) f.attemptTaskId = t.attemptTaskId;
+        return f;
+    });
+
+    const finished = succeeded + failed;
+    const summary = {
+        workId,
+        total: tasks.length,
+        finished,
+        succeeded,
+        failed,
+        cancelled,
+        expired,
+        pending: tasks.length - finished - cancelled - expired,
+        successRate: finished > 0 ? succeeded / finished : null,
+        byCode,
+        failures
+    };
+
+    const durations = durationStats(tasks.map(t => t.durationMs).filter(v => v != null));
+    if (durations) summary.durations = durations;
+
+    const starts = tasks.map(t => t.submittedAt ?? t.startedAt).filter(v => v != null);
+    const ends = tasks.map(t => t.finishedAt).filter(v => v != null);
+    if (starts.length > 0 && ends.length > 0) {
+        // reduce rather than spread: works can have more tasks than the max argument count
+        const startedAt = starts.reduce((a, b) => Math.min(a, b));
+        const finishedAt = ends.reduce((a, b) => Math.max(a, b));
+        summary.wall = { startedAt, finishedAt, ms: finishedAt - startedAt };
+    }
+
+    summary.tasks = tasks;
+    return summary;
+}
+
+function sourceLabel(source) {
+    if (!source) return '';
+    if (source.prefix !== undefined) return source.prefix;
+    if (source.inputs) return source.inputs.join(' ');
+    return (source.keys || []).join(' ');
+}
+
+function isoTime(ms) {
+    return ms == null ? '' : new Date(ms).toISOString();
+}
+
+function csvCell(value) {
+    const s = value == null ? '' : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(summary) {
+    const header = ['taskId', 'attemptTaskId', 'state', 'code', 'attempts', 'worker', 'source',
+        'submittedAt', 'startedAt', 'finishedAt', 'durationMs'];
+    const rows = summary.tasks.map(t => [
+        t.taskId, t.attemptTaskId, t.state, t.code, t.attempts, t.worker, sourceLabel(t.source),
+        isoTime(t.submittedAt), isoTime(t.startedAt), isoTime(t.finishedAt), t.durationMs
+    ]);
+    return [header, ...rows].map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function xmlEscape(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+/**
+ * One <testcase> per task: FAILED / EXPIRED → <failure>, CANCELLED / unfinished → <skipped>.
+ */
+function toJUnit(summary) {
+    const seconds = ms => (ms == null ? 0 : ms / 1000).toFixed(3);
+    const failures = new Map(summary.failures.map(f => [f.taskId, f]));
+    const skipped = summary.cancelled + summary.pending;
+    const failed = summary.failed + (summary.expired || 0);
+    const time = seconds(summary.wall?.ms);
+    const suiteAttrs = `name="${xmlEscape(summary.workId)}" tests="${summary.total}" failures="${failed}" errors="0" skipped="${skipped}" time="${time}"`;
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites ${suiteAttrs}>`,
+        `  <testsuite ${suiteAttrs}${summary.wall ? ` timestamp="${isoTime(summary.wall.startedAt)}"` : ''}>`
+    ];
+    for (const t of summary.tasks) {
+        const name = sourceLabel(t.source) || t.taskId;
+        const open = `    <testcase classname="${xmlEscape(summary.workId)}" name="${xmlEscape(name)}" time="${seconds(t.durationMs)}"`;
+        if (t.state === 'DONE') {
+            lines.push(`${open}/>`);
+            continue;
+        }
+        lines.push(`${open}>`);
+        if (t.state === 'FAILED') {
+            const f = failures.get(t.taskId);
+            const body = [`taskId: ${t.attemptTaskId || t.taskId}`, `attempts: ${t.attempts}`];
+            if (f?.stderr) body.push('', f.stderr);
+            lines.push(`      <failure message="exit code ${t.code}" type="FAILED">${xmlEscape(body.join('\n'))}</failure>`);
+        } else if (t.state === 'EXPIRED') {
+            lines.push(`      <failure message="expired in queue" type="EXPIRED">${xmlEscape(`taskId: ${t.attemptTaskId || t.taskId}`)}</failure>`);
+        } else {
+            lines.push(`      <skipped message="${xmlEscape(`${t.state} (taskId: ${t.taskId})`)}"/>`);
+        }
+        lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>', '</testsuites>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a summarizeWork() result as 'json', 'csv' or 'junit' (XML). Returns a string.
+ */
+function exportReport(summary, format = 'json') {
+    switch (format) {
+        case 'json': return JSON.stringify(summary, null, 2) + '\n';
+        case 'csv': return toCSV(summary);
+        case 'junit': return toJUnit(summary);
+        default: throw new Error(`Unknown report format '${format}' (expected json, csv or junit)`);
+    }
+}
+
+module.exports = { summarizeWork, exportReport };
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Task result retrieval: exit code, worker report and outputs (S3, file, see storage/) of finished tasks.
+ */
+
+const path = require('node:path');
+const { getStorageAdapter, parseStorageUrl, storageClients } = require('../storage');
+const { getTaskAttempts } = require('../submit/retry');
+const { peekOutcomes } = require('./outcomes');
+const { taskOutputsKey, taskReportKey, workTasksKey } = require('../utils/keys');
+
+function parseJson(value) {
+    if (value == null || value === '') return null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Output objects of an attempt: the list reported by the worker if any,
+ * otherwise the outputs expected from spec.io.output (url + layout) at submit time.
+ * Each gets the storage type of the output URL (s3 when unknown).
+ */
+function resolveOutputRefs(meta, report) {
+    const base = meta?.output?.url ? parseStorageUrl(meta.output.url) : null;
+    const type = base?.scheme || 's3';
+    const reported = parseJson(report.outputs);
+
+    if (Array.isArray(reported)) {
+        return reported.map(o => (typeof o === 'string'
+            ? { type, bucket: base?.bucket, key: o.startsWith(base?.prefix || '') ? o : `${base?.prefix || ''}${o}` }
+            : { type: o.type || type, bucket: o.bucket ?? base?.bucket, key: o.key }));
+    }
+    return Array.isArray(meta?.expected) ? meta.expected.map(o => ({ type, ...o })) : [];
+}
+
+/**
+ * Local path of an output under `dir`. Keys come from worker reports: one escaping `dir`
+ * (e.g. '../../x') throws EOUTPUTPATH.
+ */
+function localOutputPath(dir, rel) {
+    const root = path.resolve(dir);
+    const file = path.resolve(root, `.${path.sep}${rel}`);
+    const inside = path.relative(root, file);
+    if (!inside || inside === '..' || inside.startsWith(`..${path.sep}`) || path.isAbsolute(inside)) {
+        const err = new Error(`EOUTPUTPATH: output '${rel}' would be written outside ${root}`);
+        err.details = { dir: root, key: rel };
+        throw err;
+    }
+    return file;
+}
+
+/**
+ * Download outputs into `dir`, keeping their path relative to the output prefix.
+ * Outputs that don't exist are skipped. Sets `file` on each downloaded output.
+ */
+async function downloadOutputs(clients, outputs, dir, outputUrl) {
+    const prefix = outputUrl ? parseStorageUrl(outputUrl).prefix : '';
+    for (const o of outputs) {
+        if (!o.exists) continue;
+        const rel = prefix && o.key.startsWith(prefix) ? o.key.slice(prefix.length) : o.key;
+        o.file = await getStorageAdapter(o.type).downloadObject({
+            client: clients(o.type), bucket: o.bucket, key: o.key, file: localOutputPath(dir, rel)
+        });
+    }
+}
+
+/**
+ * Result of a task (its latest attempt when it was retried).
+ * Options: s3 (client for s3:// outputs), checkOutputs (HEAD every output, default true), downloadTo (local dir).
+ * Returns {
+ *   taskId, attemptTaskId?, state: 'DONE'|'CANCELLED'|'EXPIRED'|'PENDING', code,
+ *   result, stdout, stderr,                     // from the worker report (<taskId>_result), null if absent
+ *   outputs: [{ type, bucket, key, url, exists?, size?, file? }]
+ * }
+ */
+async function getTaskResult(client, taskId, opts = {}) {
+    await client.ready();
+
+    const attempts = await getTaskAttempts(client, taskId);
+    const attemptTaskId = attempts[attempts.length - 1].taskId;
+
+    const [[outcome], report, metaRaw] = await Promise.all([
+        peekOutcomes(client, [attemptTaskId]),
+        client.rcl.hGetAll(taskReportKey(attemptTaskId)),
+        client.rcl.get(taskOutputsKey(attemptTaskId))
+    ]);
+    const meta = parseJson(metaRaw);
+
+    const outputs = resolveOutputRefs(meta, report || {})
+        .map(o => ({ type: o.type, bucket: o.bucket, key: o.key, url: getStorageAdapter(o.type).formatUrl(o.bucket, o.key) }));
+
+    if (outputs.length > 0 && (opts.checkOutputs !== false || opts.downloadTo)) {
+        const clients = opts.clients || storageClients({ s3: opts.s3 });
+        for (const o of outputs) {
+            const head = await getStorageAdapter(o.type).headObject({ client: clients(o.type), bucket: o.bucket, key: o.key });
+            o.exists = !!head;
+            if (head) o.size = head.size;
+        }
+        if (opts.downloadTo) await downloadOutputs(clients, outputs, opts.downloadTo, meta?.output?.url);
+    }
+
+    const res = {
+        taskId,
+        state: outcome ? outcome.state : 'PENDING',
+        code: outcome?.state === 'DONE' ? outcome.code : null,
+        result: parseJson(report?.result),
+        stdout: report?.stdout ?? null,
+        stderr: report?.stderr ?? null,
+        outputs
+    };
+    if (attemptTaskId !== taskId) res.attemptTaskId = attemptTaskId;
+    return res;
+}
+
+/**
+ * getTaskResult() for every task of a work (work:<workId>:tasks).
+ * Options: as getTaskResult plus concurrency (default 8). With downloadTo, outputs of all
+ * tasks are downloaded into the same directory.
+ * Returns { workId, tasks: TaskResult[] }
+ */
+async function collectWorkResults(client, workId, opts = {}) {
+    await client.ready();
+
+    const taskIds = await client.rcl.sMembers(workTasksKey(workId));
+    const concurrency = Number.isFinite(opts.concurrency) && opts.concurrency > 0 ? opts.concurrency : 8;
+    const clients = storageClients({ s3: opts.s3 });
+
+    const tasks = new Array(taskIds.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < taskIds.length) {
+            const i = next++;
+            tasks[i] = await getTaskResult(client, taskIds[i], { ...opts, clients });
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, taskIds.length) }, worker));
+
+    return { workId, tasks };
+}
+
+module.exports = { getTaskResult, collectWorkResults };
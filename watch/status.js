@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * Task lifecycle status (<taskId>_status hash, see utils/keys.js) and state transitions.
+ */
+
+const { peekOutcomes } = require('./outcomes');
+const { taskRetryKey, taskStatusKey, workTasksKey } = require('../utils/keys');
+const { loggerOf } = require('../utils/logger');
+
+function toInt(v) {
+    const n = Number.parseInt(v, 10);
+    return Number.isFinite(n) ? n : null;
+}
+
+function toNumber(v) {
+    const n = Number.parseFloat(v);
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Latest attempt of each task (retry links followed in pipelined rounds).
+ */
+async function latestAttempts(client, taskIds) {
+    const latest = taskIds.slice();
+    let open = taskIds.map((_id, i) => i);
+    while (open.length > 0) {
+        const multi = client.rcl.multi();
+        for (const i of open) multi.hGet(taskRetryKey(latest[i]), 'next');
+        const replies = await multi.exec();
+        open = open.filter((i, j) => {
+            if (!replies?.[j]) return false;
+            latest[i] = String(replies[j]);
+            return true;
+        });
+    }
+    return latest;
+}
+
+/**
+ * Merge the status hash with the exit code / cancel marker, which win over it
+ * (workers that don't maintain the hash still end up DONE / FAILED).
+ */
+function toStatus(taskId, attemptTaskId, h, outcome) {
+    let state = h.state || (outcome ? null : 'UNKNOWN');
+    let exitCode = toInt(h.exitCode);
+    if (outcome?.state === 'CANCELLED' || outcome?.state === 'EXPIRED') {
+        state = outcome.state;
+    } else if (outcome?.state === 'DONE') {
+        exitCode = outcome.code;
+        state = outcome.code === 0 ? 'DONE' : 'FAILED';
+    }
+
+    const status = {
+        taskId,
+        state,
+        attempt: toInt(h.attempt) || 1,
+        worker: h.worker || null,
+        exitCode,
+        submittedAt: toInt(h.submittedAt),
+        startedAt: toInt(h.startedAt),
+        finishedAt: toInt(h.finishedAt),
+        expiresAt: toInt(h.expiresAt),
+        timeoutSec: toNumber(h.timeoutSec)
+    };
+    if (attemptTaskId !== taskId) status.attemptTaskId = attemptTaskId;
+    return status;
+}
+
+async function readStatuses(client, taskIds) {
+    if (taskIds.length === 0) return [];
+    const attempts = await latestAttempts(client, taskIds);
+
+    const multi = client.rcl.multi();
+    for (const id of attempts) multi.hGetAll(taskStatusKey(id));
+    const [hashes, outcomes] = await Promise.all([multi.exec(), peekOutcomes(client, attempts)]);
+
+    return taskIds.map((id, i) => toStatus(id, attempts[i], hashes?.[i] || {}, outcomes[i]));
+}
+
+/**
+ * Status of a task (its latest attempt when it was retried).
+ * Returns { taskId, attemptTaskId?, state: 'QUEUED'|'RUNNING'|'DONE'|'FAILED'|'CANCELLED'|'EXPIRED'|'UNKNOWN',
+ *           attempt, worker, exitCode, submittedAt, startedAt, finishedAt, expiresAt,   (times in epoch ms or null)
+ *           timeoutSec }   (spec.timeoutSec or null)
+ * EXPIRED: still QUEUED once the message TTL ran out (see spec.ttlSec).
+ */
+async function getTaskStatus(client, taskId) {
+    await client.ready();
+    const [status] = await readStatuses(client, [taskId]);
+    return status;
+}
+
+/**
+ * Statuses of every task of a work, optionally filtered by state (a state or a list of states).
+ */
+async function listTasks(client, workId, opts = {}) {
+    await client.ready();
+
+    const taskIds = await client.rcl.sMembers(workTasksKey(workId));
+    const statuses = await readStatuses(client, taskIds);
+    if (!opts.state) return statuses;
+
+    const wanted = new Set([].concat(opts.state));
+    return statuses.filter(s => wanted.has(s.state));
+}
+
+/**
+ * Track state transitions of a set of tasks for the watchers.
+ * Transitions are read from status change notifications (any attempt of a tracked task) and from
+ * settled outcomes; onTransition receives { type: 'task:state', taskId, state, prev }.
+ */
+function trackStates(client, onTransition) {
+    const states = new Map();   // tracked taskId -> last known state
+    const roots  = new Map();   // attempt taskId -> tracked taskId
+
+    const update = (taskId, state) => {
+        const prev = states.get(taskId);
+        if (!state || prev === state) return;
+        states.set(taskId, state);
+        onTransition({ type: 'task:state', taskId, state, prev: prev ?? null });
+    };
+
+    const refresh = async (attemptId) => {
+        let root = roots.get(attemptId);
+        if (root === undefined) {
+            let copyOf = null;
+            if (states.has(attemptId)) root = attemptId;
+            else [root, copyOf] = await client.rcl.hmGet(taskRetryKey(attemptId), ['root', 'copyOf']);
+            // Speculative copies run alongside the attempt they duplicate: their states are not the task's
+            if (!root || copyOf || !states.has(root)) return;
+            roots.set(attemptId, root);
+        }
+        if (!states.has(root)) return;
+        update(root, await client.rcl.hGet(taskStatusKey(attemptId), 'state'));
+    };
+
+    const off = client.redisConnector.onStatus((attemptId) => {
+        refresh(attemptId).catch(e => loggerOf(client).error({ taskId: attemptId, err: e }, 'Unable to refresh task status'));
+    });
+
+    return {
+        /** Start tracking tasks with their current statuses (no events). */
+        async add(taskIds) {
+            for (const s of await readStatuses(client, taskIds)) {
+                states.set(s.taskId, s.state);
+            }
+        },
+        /** Final state of a task from its outcome ({ state, code }). */
+        settle(taskId, outcome) {
+            if (!states.has(taskId)) return;
+            if (outcome.state === 'CANCELLED' || outcome.state === 'EXPIRED') update(taskId, outcome.state);
+            else if (outcome.state === 'DONE') update(taskId, outcome.code === 0 ? 'DONE' : 'FAILED');
+            states.delete(taskId);
+        },
+        close() {
+            off();
+        }
+    };
+}
+
+module.exports = { getTaskStatus, listTasks, trackStates, readStatuses };
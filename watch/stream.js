@@ -0,0 +1,201 @@
+'use strict';
+
+/**
+ * Streaming watch of a work: completions as an AsyncIterable of events.
+ */
+
+const { waitGroup } = require('./wait');
+const { peekOutcomes } = require('./outcomes');
+const { trackStates } = require('./status');
+const { overdueOptions, trackOverdue, settleCopy } = require('./overdue');
+const { workTasksKey } = require('../utils/keys');
+const { loggerOf } = require('../utils/logger');
+
+function taskEvent(taskId, r) {
+    if (r.state === 'CANCELLED') return { type: 'task:cancelled', taskId };
+    if (r.state === 'EXPIRED') return { type: 'task:expired', taskId };
+    const ev = { type: r.code === 0 ? 'task:done' : 'task:failed', taskId, code: r.code };
+    if (r.attempts) ev.attempts = r.attempts;
+    if (r.error) ev.error = r.error;
+    return ev;
+}
+
+/**
+ * Watch a work as a stream of events:
+ *   { type: 'task:done' | 'task:failed', taskId, code, attempts?, error? }
+ *   { type: 'task:cancelled' | 'task:expired', taskId }
+ *   { type: 'task:state', taskId, state, prev }   (status transitions, see getTaskStatus)
+ *   { type: 'task:overdue', taskId, reason, runningMs, limitMs, copyTaskId? }   (with `overdue`, see watchWork)
+ *   { type: 'progress', done, total }
+ *   { type: 'idle', idleSec } / { type: 'timeout', timeoutSec }   (last event of the stream)
+ * Tasks added to work:<workId>:tasks while watching are picked up (checked every discoverMs).
+ * The stream ends once every known task has settled (it waits for the first task to appear, and
+ * for `expected` tasks when given), unless `follow: true` keeps it open until timeout / idle / abort.
+ * Options: { timeoutSec?, idleSec?, expected?, follow?, discoverMs = 1000, signal?: AbortSignal, overdue? }
+ * Aborting the signal (or breaking out of the loop) ends the stream without an error.
+ */
+async function* watchWorkStream(client, workId, opts = {}) {
+    await client.ready();
+
+    const timeoutMs  = (Number.isFinite(opts.timeoutSec) ? opts.timeoutSec : 0) * 1000;
+    const idleMs     = (Number.isFinite(opts.idleSec) ? opts.idleSec : 0) * 1000;
+    const discoverMs = Number.isFinite(opts.discoverMs) && opts.discoverMs > 0 ? opts.discoverMs : 1000;
+    const expected   = Number.isFinite(opts.expected) && opts.expected > 0 ? opts.expected : 0;
+    const follow     = !!opts.follow;
+    const signal     = opts.signal;
+
+    if (signal?.aborted) return;
+
+    const keySet    = workTasksKey(workId);
+    const seen      = new Set();
+    const unsettled = new Set();
+    const queue     = [];
+    let settled     = 0;
+    let ended       = false;
+    let wake        = null;
+    let timer       = null;
+    let idleTimer   = null;
+    let discoverTimer = null;
+    let discovering = null;
+
+    const notify = () => {
+        if (wake) {
+            const w = wake;
+            wake = null;
+            w();
+        }
+    };
+    const end = (event) => {
+        if (ended) return;
+        if (event) queue.push(event);
+        ended = true;
+        notify();
+    };
+    const armIdle = () => {
+        if (idleMs <= 0) return;
+        if (idleTimer) clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => end({ type: 'idle', idleSec: idleMs / 1000 }), idleMs);
+    };
+    const states = trackStates(client, (ev) => {
+        if (ended) return;
+        queue.push(ev);
+        notify();
+    });
+    const copies = new Map();   // taskId -> { attemptTaskId, copyTaskId }
+    const waits = waitGroup(client);
+    const record = (id, r) => {
+        if (ended) return;
+        if (overdue) overdue.settle(id);
+        settled += 1;
+        queue.push(taskEvent(id, r));
+        queue.push({ type: 'progress', done: settled, total: Math.max(expected, seen.size) });
+        armIdle();
+        notify();
+    };
+
+    const track = async (ids) => {
+        const fresh = ids.filter(id => !seen.has(id));
+        if (fresh.length === 0) return;
+        for (const id of fresh) seen.add(id);
+
+        const outcomes = await peekOutcomes(client, fresh);
+        const pending = [];
+        fresh.forEach((id, i) => {
+            const o = outcomes[i];
+            // Failed attempts may still be retried: let waitForTask follow them
+            if (o && !(o.state === 'DONE' && o.code !== 0)) record(id, o);
+            else pending.push(id);
+        });
+
+        await states.add(pending);
+        if (overdue) overdue.add(pending);
+        for (const id of pending) {
+            unsettled.add(id);
+            waits.wait(id).then(r => onResult(id, r));
+        }
+    };
+    // copyTaskId: result of a speculative copy, which won the race
+    const onResult = (id, r, copyTaskId = null) => {
+        if (!unsettled.has(id) || r.state === 'TIMEOUT' || r.state === 'ABORTED') return;
+        unsettled.delete(id);
+        if (copies.has(id)) {
+            // Drop the waiter of the loser
+            waits.abort(copyTaskId ? id : copies.get(id).copyTaskId);
+            settleCopy(client, copies.get(id), !!copyTaskId)
+                .catch(e => loggerOf(client).error({ taskId: id, err: e }, 'Unable to settle speculative copy'));
+        }
+        states.settle(id, r);
+        record(id, r);
+    };
+    const overdueOpts = overdueOptions(opts.overdue);
+    const overdue = overdueOpts && trackOverdue(client, overdueOpts, (ev) => {
+        if (ended || !unsettled.has(ev.taskId)) return;
+        if (ev.copyTaskId) {
+            copies.set(ev.taskId, { attemptTaskId: ev.attemptTaskId || ev.taskId, copyTaskId: ev.copyTaskId });
+            waits.wait(ev.copyTaskId).then(r => onResult(ev.taskId, r, ev.copyTaskId));
+        }
+        queue.push(ev);
+        notify();
+    });
+    const discover = () => {
+        // Serialize discoveries: a slow sMembers must not overlap the next tick
+        if (!discovering) {
+            discovering = (async () => {
+                try {
+                    if (await client.rcl.sCard(keySet) > seen.size) {
+                        await track(await client.rcl.sMembers(keySet));
+                    }
+                } catch (e) {
+                    loggerOf(client).error({ workId, err: e }, 'Unable to discover new tasks');
+                } finally {
+                    discovering = null;
+                }
+            })();
+        }
+        return discovering;
+    };
+    const isComplete = () => !follow
+        && unsettled.size === 0
+        && (expected ? settled >= expected : seen.size > 0);
+
+    const onAbort = () => end(null);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        client._ensureConnector();
+        await discover();
+
+        if (timeoutMs > 0) {
+            timer = setTimeout(() => end({ type: 'timeout', timeoutSec: timeoutMs / 1000 }), timeoutMs);
+        }
+        armIdle();
+        discoverTimer = setInterval(() => { void discover().then(notify); }, discoverMs);
+
+        for (;;) {
+            while (queue.length > 0) {
+                yield queue.shift();
+            }
+            if (ended) return;
+
+            if (isComplete()) {
+                // Last look for tasks added meanwhile
+                await discover();
+                if (queue.length === 0 && isComplete()) return;
+                continue;
+            }
+            await new Promise((resolve) => { wake = resolve; });
+        }
+    } finally {
+        ended = true;
+        states.close();
+        if (overdue) overdue.close();
+        if (timer) clearTimeout(timer);
+        if (idleTimer) clearTimeout(idleTimer);
+        if (discoverTimer) clearInterval(discoverTimer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        waits.abortAll();
+        unsettled.clear();
+    }
+}
+
+module.exports = { watchWorkStream };
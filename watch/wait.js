@@ -1,9 +1,20 @@
 'use strict';
 
 /**
- * Polling-based waiting helpers for tasks and works.
+ * Waiting helpers for tasks and works (completions are dispatched by the RedisConnector).
  */
 
+const { taskCancelKey, taskStatusKey, workTasksKey } = require('../utils/keys');
+const { retryIfNeeded } = require('../submit/retry');
+const { markExpired } = require('../submit/status');
+const { EXPIRY_GRACE_MS, toOutcome, peekOutcomes } = require('./outcomes');
+const { trackStates } = require('./status');
+const { overdueOptions, trackOverdue, settleCopy } = require('./overdue');
+const { loggerOf } = require('../utils/logger');
+
+/** Final states of waitForTask (anything else means it stopped waiting: TIMEOUT / ABORTED). */
+const SETTLED = new Set(['DONE', 'CANCELLED', 'EXPIRED']);
+
 function sleepUnref(ms) {
     return new Promise((resolve) => {
         const t = setTimeout(resolve, ms);
@@ -15,64 +26,203 @@ function ensureConnector(client) {
     client._ensureConnector();
 }
 
-async function peekExitCode(client, taskId) {
-    const v = await client.redisConnector.peekExitCode(taskId);
-    if (v == null) return null;
-    const n = Number.parseInt(String(v), 10);
-    return Number.isFinite(n) ? n : null;
+async function peekOutcome(client, taskId) {
+    try {
+        const [outcome] = await peekOutcomes(client, [taskId]);
+        return outcome;
+    } catch (e) {
+        loggerOf(client).error({ taskId, err: e }, 'Unable to read task outcome');
+        return null;
+    }
+}
+
+function outcomeResult(taskId, outcome) {
+    return outcome.state === 'DONE'
+        ? { state: 'DONE', taskId, code: outcome.code }
+        : { state: outcome.state, taskId };
 }
 
 /**
- * Wait for a single task completion.
- * Returns { state: 'DONE'|'TIMEOUT', taskId, code? }
+ * Result of a task whose watching failed (e.g. Redis error): settled as failed, without exit code.
  */
-async function waitForTask(client, taskId, opts = {}) {
-    await client.ready();
+function errorResult(client, taskId, err) {
+    loggerOf(client).error({ taskId, err }, 'Unable to wait for task');
+    return { state: 'DONE', taskId, code: null, error: err.message };
+}
 
-    const timeoutSec = Number.isFinite(opts.timeoutSec) ? opts.timeoutSec : 0;
+function logExpiryError(client, taskId) {
+    return e => loggerOf(client).error({ taskId, err: e }, 'Unable to expire task');
+}
+
+/**
+ * Expire the attempt once its message TTL (+ grace) has passed without a worker picking it up
+ * (see markExpired). Returns a function clearing the timer.
+ */
+async function armExpiry(client, taskId) {
+    const expiresAt = Number.parseInt(await client.rcl.hGet(taskStatusKey(taskId), 'expiresAt'), 10);
+    if (!Number.isFinite(expiresAt)) return () => {};
+
+    const t = setTimeout(() => {
+        markExpired(client, taskId).catch(logExpiryError(client, taskId));
+    }, Math.max(0, expiresAt + EXPIRY_GRACE_MS - Date.now()));
+    return () => clearTimeout(t);
+}
 
-    // Fast path: code already persisted in <taskId> set
-    const fast = await peekExitCode(client, taskId);
-    if (Number.isFinite(fast)) {
-        return { state: 'DONE', taskId, code: fast };
+/**
+ * Wait for one attempt of a task (no retry handling). timeoutSec <= 0 waits forever.
+ * On timeout or abort (signal) the connector's waiter of the attempt is dropped.
+ */
+async function waitForAttempt(client, taskId, timeoutSec, signal) {
+    // Fast path: code already persisted in <taskId> set (or task cancelled / expired)
+    const fast = await peekOutcome(client, taskId);
+    if (fast) {
+        if (fast.state === 'EXPIRED') await markExpired(client, taskId).catch(logExpiryError(client, taskId));
+        return outcomeResult(taskId, fast);
     }
 
     ensureConnector(client);
 
     // Register waiter in the connector loop
-    const p = client.redisConnector.waitForTask(taskId).then((tuple) => {
+    const p = client.redisConnector.waitForTask(taskId).then(async (tuple) => {
         const codeStr = Array.isArray(tuple) ? tuple[1] : tuple;
-        const codeNum = codeStr == null ? null : Number.parseInt(String(codeStr), 10);
-        return { state: 'DONE', taskId, code: codeNum };
+        const [cancelled, status] = await Promise.all([
+            client.rcl.exists(taskCancelKey(taskId)).catch(() => 0),
+            client.rcl.hmGet(taskStatusKey(taskId), ['state', 'expiresAt']).catch(() => [])
+        ]);
+        const outcome = toOutcome(codeStr, cancelled, status);
+        if (outcome) return outcomeResult(taskId, outcome);
+        return { state: 'DONE', taskId, code: null };
+    });
+
+    const clearExpiry = await armExpiry(client, taskId).catch((e) => {
+        logExpiryError(client, taskId)(e);
+        return () => {};
     });
+    p.then(clearExpiry, clearExpiry);
 
-    if (!timeoutSec || timeoutSec <= 0) {
+    const hasTimeout = timeoutSec && timeoutSec > 0;
+    if (!hasTimeout && !signal) {
         return p;
     }
 
-    // Race with timeout; cancel resolver on timeout
-    const timeoutP = (async () => {
-        await sleepUnref(timeoutSec * 1000);
-        client.redisConnector.cancelWait(taskId);
-        return { state: 'TIMEOUT', taskId };
-    })();
+    // Race with timeout / abort
+    const races = [p];
+    if (hasTimeout) {
+        races.push(sleepUnref(timeoutSec * 1000).then(() => ({ state: 'TIMEOUT', taskId })));
+    }
+    let onAbort = null;
+    if (signal) {
+        races.push(new Promise((resolve) => {
+            onAbort = () => resolve({ state: 'ABORTED', taskId });
+            if (signal.aborted) onAbort();
+            else signal.addEventListener('abort', onAbort, { once: true });
+        }));
+    }
 
-    const res = await Promise.race([p, timeoutP]);
+    const res = await Promise.race(races);
+    if (onAbort) signal.removeEventListener('abort', onAbort);
+    clearExpiry();
+    if (res.state === 'TIMEOUT' || res.state === 'ABORTED') client.redisConnector.cancelWait(taskId);
 
     // Last-chance peek to avoid false TIMEOUT
     if (res.state === 'TIMEOUT') {
-        const late = await peekExitCode(client, taskId);
-        if (Number.isFinite(late)) {
-            return { state: 'DONE', taskId, code: late };
+        const late = await peekOutcome(client, taskId);
+        if (late) {
+            return outcomeResult(taskId, late);
         }
     }
 
     return res;
 }
 
+/**
+ * Wait for a single task completion.
+ * Failed attempts are followed through their retries (see spec.retry); the result
+ * describes the last attempt, with `attempts` and `attemptTaskId` when it was retried.
+ * EXPIRED: the message TTL (spec.ttlSec) ran out before a worker picked the task up.
+ * When a retry cannot be published, the failed attempt is final and `error` tells why.
+ * Aborting `signal` (AbortSignal) stops waiting (state ABORTED), dropping the waiter of the
+ * current attempt.
+ * Returns { state: 'DONE'|'CANCELLED'|'EXPIRED'|'TIMEOUT'|'ABORTED', taskId, code?, attempts?, attemptTaskId?, error? }
+ */
+async function waitForTask(client, taskId, opts = {}) {
+    await client.ready();
+
+    const timeoutSec = Number.isFinite(opts.timeoutSec) ? opts.timeoutSec : 0;
+    const deadline   = timeoutSec > 0 ? Date.now() + timeoutSec * 1000 : 0;
+    const signal     = opts.signal;
+
+    let current  = taskId;
+    let attempts = 1;
+    for (;;) {
+        const leftSec = deadline ? (deadline - Date.now()) / 1000 : 0;
+        let res;
+        if (signal?.aborted) res = { state: 'ABORTED', taskId: current };
+        else if (deadline && leftSec <= 0) res = { state: 'TIMEOUT', taskId: current };
+        else res = await waitForAttempt(client, current, leftSec, signal);
+
+        let next = null;
+        let error = null;
+        if (res.state === 'DONE') {
+            try {
+                next = await retryIfNeeded(client, current, res.code);
+            } catch (err) {
+                loggerOf(client).error({ taskId: current, err }, 'Unable to retry task');
+                error = err.message;
+            }
+        }
+        if (next) {
+            current = next;
+            attempts += 1;
+            continue;
+        }
+
+        const final = error ? { ...res, error } : res;
+        if (current === taskId) return final;
+        return { ...final, taskId, attempts, attemptTaskId: current };
+    }
+}
+
+/**
+ * waitForTask() calls of a watcher, each abortable by its id (task, or speculative copy):
+ * abort(id) / abortAll() drop the connector's waiter of the attempt each one is at. Rejections
+ * settle as errorResult().
+ */
+function waitGroup(client) {
+    const controllers = new Map();
+    return {
+        wait(id) {
+            const c = new AbortController();
+            controllers.set(id, c);
+            return waitForTask(client, id, { signal: c.signal })
+                .catch(err => errorResult(client, id, err))
+                .finally(() => {
+                    if (controllers.get(id) === c) controllers.delete(id);
+                });
+        },
+        abort(id) {
+            controllers.get(id)?.abort();
+            controllers.delete(id);
+        },
+        abortAll() {
+            for (const c of controllers.values()) c.abort();
+            controllers.clear();
+        }
+    };
+}
+
+/** Entry of `done` / `results`: { taskId, code, attempts?, error? }. */
+function doneEntry(taskId, r) {
+    const entry = { taskId, code: r.code };
+    if (r.attempts) entry.attempts = r.attempts;
+    if (r.error) entry.error = r.error;
+    return entry;
+}
+
 /**
  * Wait for many taskIds; optional failFast (stop at first non-zero code).
- * Returns { state, done: [{taskId, code}], pending: string[] }
+ * Cancelled and expired tasks are settled too and listed in `cancelled` / `expired`.
+ * Returns { state, done: [{taskId, code}], cancelled: string[], expired: string[], pending: string[] }
  */
 async function waitForMany(client, taskIds, opts = {}) {
     await client.ready();
@@ -80,65 +230,72 @@ async function waitForMany(client, taskIds, opts = {}) {
     const timeoutSec = Number.isFinite(opts.timeoutSec) ? opts.timeoutSec : 0;
     const failFast   = !!opts.failFast;
 
-    const pending = new Set(taskIds);
-    const done    = [];
+    const pending   = new Set(taskIds);
+    const done      = [];
+    const cancelled = [];
+    const expired   = [];
+
+    const settledState = () => (cancelled.length > 0 ? 'CANCELLED' : 'DONE');
+    const settle = (id, state) => (state === 'CANCELLED' ? cancelled : expired).push(id);
 
     // Pipeline fast-peek for all pending
     if (pending.size > 0) {
-        const multi = client.rcl.multi();
-        for (const id of pending) multi.sRandMember(id);
-        const replies = await multi.exec();
-
-        let i = 0;
-        for (const id of Array.from(pending)) {
-            const v = replies?.[i++];
-            if (v == null) continue;
-            const code = Number.parseInt(String(v), 10);
-            if (Number.isFinite(code)) {
-                done.push({ taskId: id, code });
-                pending.delete(id);
-            }
-        }
+        const ids = Array.from(pending);
+        const outcomes = await peekOutcomes(client, ids);
+
+        ids.forEach((id, i) => {
+            const o = outcomes[i];
+            // Failed attempts may still be retried: let waitForTask follow them
+            if (!o || (o.state === 'DONE' && o.code !== 0)) return;
+            if (o.state === 'DONE') done.push({ taskId: id, code: o.code });
+            else settle(id, o.state);
+            pending.delete(id);
+        });
     }
 
     if (pending.size === 0) {
-        return { state: 'DONE', done, pending: [] };
+        return { state: settledState(), done, cancelled, expired, pending: [] };
     }
 
     ensureConnector(client);
 
+  // Aborted once the result is known: drops the waiters of the attempts still pending
+  const abort = new AbortController();
+
   return await new Promise((resolve) => {
     let timer = null;
     if (timeoutSec > 0) {
       timer = setTimeout(() => {
-        resolve({ state: 'TIMEOUT', done, pending: [...pending] });
+        abort.abort();
+        resolve({ state: 'TIMEOUT', done, cancelled, expired, pending: [...pending] });
       }, timeoutSec * 1000);
     }
 
     if (pending.size === 0) {
       if (timer) clearTimeout(timer);
-      return resolve({ state: 'DONE', done, pending: [] });
+      return resolve({ state: settledState(), done, cancelled, expired, pending: [] });
     }
 
     for (const id of pending) {
-      waitForTask(client, id).then((r) => {
-        if (!pending.has(id)) return;
+      waitForTask(client, id, { signal: abort.signal }).catch(err => errorResult(client, id, err)).then((r) => {
+        if (!pending.has(id) || abort.signal.aborted) return;
         pending.delete(id);
 
-        if (r.state === 'DONE') {
-          done.push({ taskId: id, code: r.code });
-
-          if (failFast && typeof r.code === 'number' && r.code !== 0) {
+        if (r.state === 'CANCELLED' || r.state === 'EXPIRED') {
+          settle(id, r.state);
+        } else if (r.state === 'DONE') {
+          done.push(doneEntry(id, r));
 
-            for (const restId of pending) client.redisConnector.cancelWait(restId);
+          if (failFast && ((typeof r.code === 'number' && r.code !== 0) || r.error)) {
+            abort.abort();
             if (timer) clearTimeout(timer);
-            return resolve({ state: 'FAILED', done, pending: [...pending] });
+            return resolve({ state: 'FAILED', done, cancelled, expired, pending: [...pending] });
           }
         }
 
         if (pending.size === 0) {
           if (timer) clearTimeout(timer);
-          return resolve({ state: 'DONE', done, pending: [] });
+          return resolve({ state: settledState(), done, cancelled, expired, pending: [] });
         }
       });
     }
@@ -147,17 +304,23 @@ async function waitForMany(client, taskIds, opts = {}) {
 
 /**
  * Watch a whole work by workId (snapshot of tasks present at call time).
- * Returns { state: 'DONE'|'TIMEOUT'|'IDLE', total, results }
+ * Cancelled and expired tasks count as settled ('task:cancelled' / 'task:expired' events);
+ * the work ends as CANCELLED if any of them was cancelled.
+ * Event-driven: results and 'progress' events are emitted as soon as each task settles, and
+ * 'task:state' events ({ taskId, state, prev }) on status transitions of the pending tasks.
+ * With `overdue` (true or { factor, minSamples, checkSec, speculate }, see watch/overdue.js),
+ * tasks past their deadline or straggling get a 'task:overdue' event; with `speculate` a copy
+ * is submitted and the task settles with whichever of the two finishes first.
+ * Returns { state: 'DONE'|'CANCELLED'|'TIMEOUT'|'IDLE', total, results, cancelled, expired }
  */
 async function watchWork(client, workId, opts = {}) {
     await client.ready();
 
-    const pollMs    = Number.isFinite(opts.pollMs) ? opts.pollMs : 1000;
     const timeoutMs = (Number.isFinite(opts.timeoutSec) ? opts.timeoutSec : 0) * 1000;
     const idleMs    = (Number.isFinite(opts.idleSec) ? opts.idleSec : 0) * 1000;
     const onEvent   = typeof opts.onEvent === 'function' ? opts.onEvent : null;
 
-    const keySet   = `work:${workId}:tasks`;
+    const keySet   = workTasksKey(workId);
     const expected = Number.isFinite(opts.expected) && opts.expected > 0
         ? opts.expected
         : await client.rcl.sCard(keySet);
@@ -168,70 +331,116 @@ async function watchWork(client, workId, opts = {}) {
     }
 
     // Fast-peek all tasks
-    const multi = client.rcl.multi();
-    for (const id of taskIds) multi.sRandMember(id);
-    const replies = await multi.exec();
-
-    const results = [];
-    const waiting = [];
-    for (let i = 0; i < taskIds.length; i++) {
-        const id = taskIds[i];
-        const v  = replies?.[i];
-        if (v == null) { waiting.push(id); continue; }
-        const code = Number.parseInt(String(v), 10);
-        if (Number.isFinite(code)) {
-            results.push({ taskId: id, code });
-            if (onEvent) onEvent({ type: 'task:done', taskId: id, code });
+    const outcomes = await peekOutcomes(client, taskIds);
+
+    const results   = [];
+    const cancelled = [];
+    const expired   = [];
+    const waiting   = [];
+
+    const settled = () => results.length + cancelled.length + expired.length;
+    const summary = (state) => ({ state, total: expected, results, cancelled, expired });
+    const record  = (id, o) => {
+        if (o.state === 'CANCELLED') {
+            cancelled.push(id);
+            if (onEvent) onEvent({ type: 'task:cancelled', taskId: id });
+        } else if (o.state === 'EXPIRED') {
+            expired.push(id);
+            if (onEvent) onEvent({ type: 'task:expired', taskId: id });
         } else {
-            waiting.push(id);
+            results.push(doneEntry(id, o));
+            if (onEvent) onEvent(o.error ? { type: 'task:done', taskId: id, code: o.code, error: o.error } : { type: 'task:done', taskId: id, code: o.code });
         }
+    };
+    const finalState = () => (cancelled.length > 0 ? 'CANCELLED' : 'DONE');
+
+    for (let i = 0; i < taskIds.length; i++) {
+        const o = outcomes[i];
+        // Failed attempts may still be retried: let waitForTask follow them
+        if (o && !(o.state === 'DONE' && o.code !== 0)) record(taskIds[i], o);
+        else waiting.push(taskIds[i]);
     }
-    if (onEvent) onEvent({ type: 'progress', done: results.length, total: expected });
+    if (onEvent) onEvent({ type: 'progress', done: settled(), total: expected });
 
-    if (results.length >= expected) {
-        return { state: 'DONE', total: expected, results };
+    if (settled() >= expected) {
+        return summary(finalState());
     }
 
     ensureConnector(client);
 
-    const start   = Date.now();
-    let   lastNew = Date.now();
+    const states = onEvent ? trackStates(client, onEvent) : null;
+    if (states) await states.add(waiting);
 
-    const perTask = new Map();
-    for (const id of waiting) {
-        perTask.set(id, waitForTask(client, id));
-    }
+    const overdueOpts = overdueOptions(opts.overdue);
 
-    while (results.length < expected) {
-        if (timeoutMs > 0 && (Date.now() - start) >= timeoutMs) {
-            return { state: 'TIMEOUT', total: expected, results };
-        }
+    return await new Promise((resolve) => {
+        const unsettled = new Set(waiting);
+        const copies    = new Map();   // taskId -> { attemptTaskId, copyTaskId }
+        const waits     = waitGroup(client);
+        let timer     = null;
+        let idleTimer = null;
+        let overdue   = null;
 
-        for (const [id, p] of perTask) {
-            if (!p) continue;
-            const r = await Promise.race([p, sleepUnref(0)]);
-            if (r && r.state === 'DONE') {
-                results.push({ taskId: id, code: r.code });
-                perTask.set(id, null);
-                lastNew = Date.now();
-                if (onEvent) onEvent({ type: 'task:done', taskId: id, code: r.code });
+        const finish = (state) => {
+            if (timer) clearTimeout(timer);
+            if (idleTimer) clearTimeout(idleTimer);
+            waits.abortAll();
+            unsettled.clear();
+            if (states) states.close();
+            if (overdue) overdue.close();
+            resolve(summary(state));
+        };
+        const armIdle = () => {
+            if (idleMs <= 0) return;
+            if (idleTimer) clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => finish('IDLE'), idleMs);
+        };
+
+        if (timeoutMs > 0) {
+            timer = setTimeout(() => finish('TIMEOUT'), timeoutMs);
+        }
+        armIdle();
+
+        // copyTaskId: result of a speculative copy, which won the race
+        const onResult = (id, r, copyTaskId = null) => {
+            if (!unsettled.has(id) || !SETTLED.has(r.state)) return;
+            unsettled.delete(id);
+            if (copies.has(id)) {
+                // Drop the waiter of the loser
+                waits.abort(copyTaskId ? id : copies.get(id).copyTaskId);
+                settleCopy(client, copies.get(id), !!copyTaskId)
+                    .catch(e => loggerOf(client).error({ taskId: id, err: e }, 'Unable to settle speculative copy'));
             }
+            if (states) states.settle(id, r);
+            if (overdue) overdue.settle(id);
+            record(id, r);
+            if (onEvent) onEvent({ type: 'progress', done: settled(), total: expected });
+
+            if (settled() >= expected) finish(finalState());
+            else armIdle();
+        };
+
+        if (overdueOpts) {
+            overdue = trackOverdue(client, overdueOpts, (ev) => {
+                if (!unsettled.has(ev.taskId)) return;
+                if (ev.copyTaskId) {
+                    copies.set(ev.taskId, { attemptTaskId: ev.attemptTaskId || ev.taskId, copyTaskId: ev.copyTaskId });
+                    waits.wait(ev.copyTaskId).then(r => onResult(ev.taskId, r, ev.copyTaskId));
+                }
+                if (onEvent) onEvent(ev);
+            });
+            overdue.add(waiting);
+            for (const r of results) overdue.settle(r.taskId);
         }
 
-        if (onEvent) onEvent({ type: 'progress', done: results.length, total: expected });
-        if (results.length >= expected) break;
-
-        if (idleMs > 0 && (Date.now() - lastNew) >= idleMs) {
-            return { state: 'IDLE', total: expected, results };
+        for (const id of waiting) {
+            waits.wait(id).then(r => onResult(id, r));
         }
-
-        await sleepUnref(pollMs);
-    }
-
-    return { state: 'DONE', total: expected, results };
+    });
 }
 
 module.exports = {
+    waitGroup,
     waitForTask,
     waitForMany,
     watchWork
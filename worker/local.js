@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Local worker: runs the tasks of a queue as child processes on this machine, for development
+ * without the cluster. Consumes the same task messages as the production workers (see
+ * buildTaskMsgFromPlan) and reports through the same Redis conventions, so watchers behave the same.
+ * It does no S3 I/O: use file:// inputs or local paths in args.
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const { spawn } = require('node:child_process');
+const { takeTask, completeTask } = require('../connectors/testWorker');
+const { loggerOf } = require('../utils/logger');
+
+const TAIL_BYTES = 4096;
+const KILL_GRACE_MS = 5000;
+
+/** Exit codes of tasks that could not run normally (same as `timeout` and shells). */
+const EXIT_TIMEOUT = 124;
+const EXIT_CANNOT_RUN = 126;
+const EXIT_NOT_FOUND = 127;
+
+/** Last `max` bytes of a stream. */
+function tail(max) {
+    let buf = Buffer.alloc(0);
+    return {
+        push(chunk) {
+            buf = Buffer.concat([buf, chunk]);
+            if (buf.length > max) buf = buf.subarray(buf.length - max);
+        },
+        toString: () => buf.toString('utf8')
+    };
+}
+
+function substituteDirs(value, dirs) {
+    return typeof value === 'string'
+        ? value.split('__INPUT_DIR__').join(dirs.inputDir).split('__OUTPUT_DIR__').join(dirs.outputDir)
+        : value;
+}
+
+/**
+ * Directories of a task: the overrides of runLocalWorker, else the message's work_dir /
+ * input_dir / output_dir; input and output default to the work directory, which defaults to cwd.
+ */
+function taskDirs(message, opts) {
+    const workDir = opts.workDir || message.work_dir || process.cwd();
+    return {
+        workDir,
+        inputDir: opts.inputDir || message.input_dir || workDir,
+        outputDir: opts.outputDir || message.output_dir || workDir
+    };
+}
+
+/**
+ * Run one task message: executable + args in the work directory, __INPUT_DIR__ / __OUTPUT_DIR__
+ * substituted, stopped past message.timeoutSec (exit code 124).
+ * Resolves { code, stdout, stderr } (tails of the output); never rejects.
+ */
+async function executeTask(message, opts = {}) {
+    const dirs = taskDirs(message, opts);
+    const stdout = tail(TAIL_BYTES);
+    const stderr = tail(TAIL_BYTES);
+
+    try {
+        for (const dir of new Set([dirs.workDir, dirs.inputDir, dirs.outputDir])) {
+            await fs.promises.mkdir(dir, { recursive: true });
+        }
+    } catch (err) {
+        return { code: EXIT_CANNOT_RUN, stdout: '', stderr: `cannot create task directories: ${err.message}` };
+    }
+
+    const executable = substituteDirs(message.executable, dirs);
+    const args = (Array.isArray(message.args) ? message.args : []).map(a => substituteDirs(String(a), dirs));
+
+    return new Promise((resolve) => {
+        let timedOut = false;
+        let killTimer = null;
+        let child;
+        try {
+            child = spawn(executable, args, {
+                cwd: dirs.workDir,
+                env: { ...process.env, ...opts.env },
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+        } catch (err) {
+            resolve({ code: EXIT_CANNOT_RUN, stdout: '', stderr: `cannot run ${executable}: ${err.message}` });
+            return;
+        }
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+
+        const deadline = Number.isFinite(message.timeoutSec) && message.timeoutSec > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                child.kill('SIGTERM');
+                killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+            }, message.timeoutSec * 1000)
+            : null;
+
+        const finish = (code, note) => {
+            clearTimeout(deadline);
+            clearTimeout(killTimer);
+            if (note) stderr.push(Buffer.from(`${note}\n`));
+            resolve({ code, stdout: stdout.toString(), stderr: stderr.toString() });
+        };
+
+        child.on('error', (err) => {
+            finish(err.code === 'ENOENT' ? EXIT_NOT_FOUND : EXIT_CANNOT_RUN, `cannot run ${executable}: ${err.message}`);
+        });
+        child.on('close', (code, signal) => {
+            if (timedOut) return finish(EXIT_TIMEOUT, `stopped after timeoutSec (${message.timeoutSec} s)`);
+            finish(code ?? 128 + (os.constants.signals[signal] || 0));
+        });
+    });
+}
+
+/**
+ * Run the tasks of `queue` as local child processes, at most `concurrency` at a time, until stop().
+ * Each task is taken like a production worker does (RUNNING, cancelled tasks skipped), run by
+ * executeTask, then completed with its exit code and a report (stdout / stderr tails). Its AMQP
+ * message is acknowledged only once the exit code is written: a task of a worker that dies before
+ * is delivered again.
+ * Options: { concurrency = CPU count, pollMs = 500, worker = 'local-<host>-<pid>',
+ *            workDir?, inputDir?, outputDir? (instead of the message's dirs), env?, onEvent? }
+ * Events: { type: 'task:start', taskId } / { type: 'task:end', taskId, code, stderr }
+ * Returns { stop(): Promise<{ tasks, failed }> } (stop lets running tasks finish).
+ */
+function runLocalWorker(client, queue, opts = {}) {
+    const concurrency = Number.isInteger(opts.concurrency) && opts.concurrency > 0
+        ? opts.concurrency
+        : (os.availableParallelism?.() || os.cpus().length || 1);
+    const pollMs = Number.isFinite(opts.pollMs) && opts.pollMs > 0 ? opts.pollMs : 500;
+    const worker = opts.worker || `local-${os.hostname()}-${process.pid}`;
+    const emit = typeof opts.onEvent === 'function' ? opts.onEvent : () => {};
+    const log = loggerOf(client).child({ component: 'local', queue, worker });
+
+    const running = new Set();
+    const stats = { tasks: 0, failed: 0 };
+    let stopping = false;
+    let wake = null;
+
+    const sleep = () => new Promise((resolve) => {
+        const timer = setTimeout(resolve, pollMs);
+        wake = () => { clearTimeout(timer); resolve(); };
+    });
+
+    const run = async ({ taskId, message, ack, nack }) => {
+        emit({ type: 'task:start', taskId });
+        log.debug({ taskId }, 'Task started');
+        const { code, stdout, stderr } = message
+            ? await executeTask(message, opts)
+            : { code: EXIT_CANNOT_RUN, stdout: '', stderr: 'task message not found' };
+        try {
+            await completeTask(client, taskId, code, { stdout, stderr });
+            ack();
+        } catch (err) {
+            // Not acknowledged: the task runs again
+            log.error({ taskId, err }, 'Unable to report task completion');
+            nack();
+        }
+        stats.tasks += 1;
+        if (code !== 0) stats.failed += 1;
+        log.debug({ taskId, code }, 'Task finished');
+        emit({ type: 'task:end', taskId, code, stderr });
+    };
+
+    const loop = (async () => {
+        await client.ready();
+        while (!stopping) {
+            while (!stopping && running.size < concurrency) {
+                const task = await takeTask(client, queue, { worker, manualAck: true })
+                    .catch((err) => { log.error({ err }, 'Unable to take a task'); return null; });
+                if (!task) break;
+                const p = run(task).finally(() => {
+                    running.delete(p);
+                    if (wake) wake();
+                });
+                running.add(p);
+            }
+            if (!stopping) await sleep();
+        }
+        await Promise.all(running);
+        return stats;
+    })();
+
+    return {
+        async stop() {
+            stopping = true;
+            if (wake) wake();
+            return loop;
+        }
+    };
+}
+
+module.exports = { runLocalWorker, executeTask };
@@ -0,0 +1,137 @@
+'use strict';
+
+const { createSingle, createBatch } = require('../submit/submit');
+const { waitForMany } = require('../watch/wait');
+const { workCancelKey, workflowStepsKey } = require('../utils/keys');
+
+/**
+ * Check step names and dependencies of a `kind: Workflow` manifest.
+ * Returns the steps in topological order; throws on duplicates, unknown deps and cycles.
+ */
+function planWorkflow(workflow) {
+    const steps = workflow?.spec?.steps;
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new Error('Workflow has no spec.steps');
+    }
+
+    const byName = new Map();
+    for (const step of steps) {
+        if (byName.has(step.name)) throw new Error(`Duplicate workflow step '${step.name}'`);
+        byName.set(step.name, step);
+    }
+    for (const step of steps) {
+        for (const dep of step.dependsOn || []) {
+            if (!byName.has(dep)) throw new Error(`Step '${step.name}' depends on unknown step '${dep}'`);
+        }
+    }
+
+    // DFS topological sort with cycle detection
+    const order = [];
+    const mark = new Map(); // name -> 'visiting'|'done'
+    const visit = (name, trail) => {
+        if (mark.get(name) === 'done') return;
+        if (mark.get(name) === 'visiting') {
+            throw new Error(`Workflow dependency cycle: ${[...trail, name].join(' → ')}`);
+        }
+        mark.set(name, 'visiting');
+        for (const dep of byName.get(name).dependsOn || []) visit(dep, [...trail, name]);
+        mark.set(name, 'done');
+        order.push(byName.get(name));
+    };
+    for (const step of steps) visit(step.name, []);
+
+    return order;
+}
+
+/**
+ * Submit a workflow and drive it to the end.
+ * A step is submitted (createBatch when its io.batch is enabled, createSingle otherwise)
+ * only after all its upstream steps finished with exit code 0; otherwise it is SKIPPED.
+ * All tasks belong to one work (metadata.workId or client.workId); step states are kept
+ * in the workflow:<workId>:steps hash.
+ *
+ * Options: ratePerSec, retry (passed to createBatch), timeoutSec (per step), onEvent.
+ * Returns { workId, state: 'DONE'|'FAILED'|'CANCELLED', steps: { [name]: { state, tasks, done, cancelled, expired } } }
+ * A step with expired tasks (spec.ttlSec) FAILED.
+ */
+async function submitWorkflow(client, workflow, opts = {}) {
+    await client.ready();
+
+    const order   = planWorkflow(workflow);
+    const workId  = workflow?.metadata?.workId || client.workId;
+    const onEvent = typeof opts.onEvent === 'function' ? opts.onEvent : null;
+    const stepsKey = workflowStepsKey(workId);
+
+    const byName  = new Map(order.map(s => [s.name, s]));
+    const running = new Map();
+    const steps   = {};
+
+    const setState = async (name, state, extra = {}) => {
+        steps[name] = { state, tasks: [], done: [], cancelled: [], expired: [], ...steps[name], ...extra, state };
+        await client.rcl.hSet(stepsKey, name, state);
+        if (onEvent) onEvent({ type: `step:${state.toLowerCase()}`, step: name, ...extra });
+    };
+
+    const runStep = (name) => {
+        if (running.has(name)) return running.get(name);
+
+        const p = (async () => {
+            const step = byName.get(name);
+            const upstream = await Promise.all((step.dependsOn || []).map(runStep));
+            if (upstream.some(state => state !== 'DONE')) {
+                await setState(name, 'SKIPPED');
+                return 'SKIPPED';
+            }
+
+            if (await client.rcl.exists(workCancelKey(workId))) {
+                await setState(name, 'CANCELLED');
+                return 'CANCELLED';
+            }
+
+            const manifest = {
+                ...step.task,
+                metadata: { ...(step.task.metadata || {}), workId }
+            };
+            const batch = manifest.spec?.io?.batch?.enabled;
+
+            let tasks;
+            let unpublished = 0;
+            try {
+                if (batch) {
+                    const sub = await createBatch(client, manifest, { ratePerSec: opts.ratePerSec, retry: opts.retry });
+                    tasks = sub.tasks;
+                    unpublished = sub.failed.length;
+                } else {
+                    tasks = [await createSingle(client, manifest, { retry: opts.retry })];
+                }
+            } catch (err) {
+                await setState(name, 'FAILED', { error: err.message });
+                return 'FAILED';
+            }
+            await setState(name, 'SUBMITTED', { tasks });
+
+            const res = await waitForMany(client, tasks, { timeoutSec: opts.timeoutSec });
+            const failed = unpublished > 0 || res.expired.length > 0 || res.done.some(d => d.code !== 0);
+            const state = res.state === 'TIMEOUT' ? 'FAILED'
+                : res.cancelled.length > 0 ? 'CANCELLED'
+                : failed ? 'FAILED'
+                : 'DONE';
+
+            await setState(name, state, { done: res.done, cancelled: res.cancelled, expired: res.expired });
+            return state;
+        })();
+
+        running.set(name, p);
+        return p;
+    };
+
+    const states = await Promise.all(order.map(s => runStep(s.name)));
+
+    const state = states.every(s => s === 'DONE') ? 'DONE'
+        : states.includes('CANCELLED') ? 'CANCELLED'
+        : 'FAILED';
+
+    return { workId, state, steps };
+}
+
+module.exports = { planWorkflow, submitWorkflow };